@@ -7,7 +7,7 @@
 
 import dotenv from 'dotenv';
 import chalk from 'chalk';
-import OpenAI from 'openai';
+import createProvider, { providerRequiresApiKey } from '../src/llm-providers.js';
 
 // Load environment variables
 dotenv.config();
@@ -23,21 +23,26 @@ class HealthChecker {
   }
 
   /**
-   * Check OpenAI API connectivity
+   * Check LLM provider connectivity (OpenAI, OpenAI-compatible server or mock)
    */
   async checkOpenAIConnection() {
-    console.log(chalk.yellow('🔌 Testing OpenAI API connection...'));
+    const providerName = process.env.LLM_PROVIDER || 'openai';
+    console.log(chalk.yellow(`🔌 Testing LLM provider connection (${providerName})...`));
     
     try {
-      const apiKey = process.env.OPENAI_API_KEY;
-      if (!apiKey || apiKey === 'your-openai-api-key-here') {
+      const apiKey = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY;
+      if (providerRequiresApiKey(providerName) && (!apiKey || apiKey === 'your-openai-api-key-here')) {
         throw new Error('Invalid or missing API key');
       }
 
-      const openai = new OpenAI({ apiKey });
+      const provider = createProvider(providerName, {
+        apiKey,
+        baseURL: process.env.LLM_BASE_URL,
+        model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo'
+      });
       
       // Test with a minimal request
-      const response = await openai.chat.completions.create({
+      const response = await provider.createChatCompletion({
         model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
         messages: [{ role: 'user', content: 'Test' }],
         max_tokens: 5,
@@ -45,7 +50,7 @@ class HealthChecker {
       });
 
       if (response.choices && response.choices[0]) {
-        console.log(chalk.green('✅ OpenAI API: Connected successfully'));
+        console.log(chalk.green(`✅ ${provider.label}: Connected successfully`));
         console.log(chalk.gray(`   Model: ${response.model || 'Unknown'}`));
         console.log(chalk.gray(`   Tokens used: ${response.usage?.total_tokens || 'Unknown'}`));
         this.results.passed++;
@@ -55,7 +60,7 @@ class HealthChecker {
       }
 
     } catch (error) {
-      console.log(chalk.red('❌ OpenAI API: Connection failed'));
+      console.log(chalk.red('❌ LLM provider: Connection failed'));
       console.log(chalk.red(`   Error: ${error.message}`));
       this.results.failed++;
       return false;
@@ -141,7 +146,10 @@ class HealthChecker {
   checkEnvironment() {
     console.log(chalk.yellow('⚙️ Checking environment configuration...'));
 
-    const requiredVars = ['OPENAI_API_KEY'];
+    const provider = process.env.LLM_PROVIDER || 'openai';
+    const requiredVars = providerRequiresApiKey(provider)
+      ? ['OPENAI_API_KEY']
+      : provider === 'openai-compatible' ? ['LLM_BASE_URL'] : [];
     const optionalVars = ['OPENAI_MODEL', 'TEMPERATURE', 'MAX_TOKENS'];
     
     let configScore = 0;
@@ -161,7 +169,7 @@ class HealthChecker {
       }
     }
 
-    const configPercent = Math.round((configScore / totalConfig) * 100);
+    const configPercent = Math.round((configScore / (totalConfig || 1)) * 100);
 
     if (configScore === totalConfig) {
       console.log(chalk.green('✅ Environment: Fully configured'));
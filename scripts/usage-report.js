@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/**
+ * Usage Report Script
+ * Daily, weekly and per-model aggregates from the usage ledger, with CSV and JSON export
+ *
+ * npm run usage -- [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--by day,week,model]
+ *                  [--csv usage.csv] [--json usage.json] [--ledger path/to/ledger.ndjson]
+ */
+
+import { mkdirSync, writeFileSync } from 'fs';
+import { dirname, resolve } from 'path';
+import dotenv from 'dotenv';
+import chalk from 'chalk';
+import UsageLedger from '../src/usage-ledger.js';
+
+// Load environment variables
+dotenv.config();
+
+class UsageReport {
+  constructor(args = process.argv.slice(2)) {
+    this.options = this.parseArgs(args);
+    this.ledger = new UsageLedger({ path: this.options.ledger });
+  }
+
+  /**
+   * Parse --name value flags
+   */
+  parseArgs(args) {
+    const options = {
+      from: null,
+      to: null,
+      by: UsageLedger.GROUPS,
+      csv: null,
+      json: null,
+      ledger: process.env.USAGE_LEDGER_PATH || './cache/usage-ledger.ndjson'
+    };
+
+    for (let i = 0; i < args.length; i++) {
+      const name = args[i].replace(/^--/, '');
+      const value = args[i + 1];
+      if (!(name in options) || value === undefined) {
+        throw new Error(`Unknown or incomplete option "${args[i]}"`);
+      }
+
+      options[name] = name === 'by' ? value.split(',').map(group => group.trim()) : value;
+      // A path typed on the command line is relative to where it was typed
+      if (name === 'ledger') options.ledger = resolve(value);
+      i++;
+    }
+
+    const unknown = options.by.filter(group => !UsageLedger.GROUPS.includes(group));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown grouping "${unknown.join(', ')}" (use ${UsageLedger.GROUPS.join(', ')})`);
+    }
+    return options;
+  }
+
+  /**
+   * Format an amount in the ledger's currency
+   */
+  formatAmount(amount, currency) {
+    return currency === 'USD' ? `$${amount.toFixed(6)}` : `${amount.toFixed(6)} ${currency}`;
+  }
+
+  /**
+   * Print one grouping as a table
+   */
+  printGroup(title, rows) {
+    console.log(chalk.cyan(`\n${title}`));
+    console.log(chalk.gray('━'.repeat(74)));
+    console.log(chalk.white(`${'Key'.padEnd(24)}${'Queries'.padStart(9)}${'Tokens'.padStart(12)}${'Cost'.padStart(16)}${'Avg latency'.padStart(13)}`));
+    rows.forEach(row => {
+      console.log(chalk.gray(`${row.key.padEnd(24)}${String(row.queries).padStart(9)}${row.totalTokens.toLocaleString().padStart(12)}${this.formatAmount(row.cost, row.currency).padStart(16)}${`${row.averageLatencyMs}ms`.padStart(13)}`));
+    });
+  }
+
+  /**
+   * Write a file, creating its directory
+   */
+  writeFile(path, content) {
+    mkdirSync(dirname(path), { recursive: true });
+    writeFileSync(path, content);
+    console.log(chalk.green(`✅ Wrote ${path}`));
+  }
+
+  /**
+   * Build the report, print it and export it
+   */
+  run() {
+    console.log(chalk.blue.bold('📒 Rental Property Chatbot - Usage Report'));
+    console.log(chalk.gray(`Ledger: ${this.ledger.path}`));
+
+    const entries = this.ledger.read({ from: this.options.from, to: this.options.to });
+    if (this.ledger.skipped > 0) {
+      console.log(chalk.yellow(`⚠️ Skipped ${this.ledger.skipped} unreadable ledger lines`));
+    }
+    if (entries.length === 0) {
+      console.log(chalk.yellow('No usage recorded for this period yet.'));
+      return null;
+    }
+
+    const titles = { day: 'Daily', week: 'Weekly (ISO weeks, UTC)', model: 'Per Model' };
+    const groups = Object.fromEntries(this.options.by.map(group => [group, UsageLedger.aggregate(entries, group)]));
+    Object.entries(groups).forEach(([group, rows]) => this.printGroup(titles[group], rows));
+
+    const currency = entries[0].currency || 'USD';
+    const totals = {
+      queries: entries.length,
+      totalTokens: entries.reduce((sum, entry) => sum + (entry.inputTokens || 0) + (entry.outputTokens || 0), 0),
+      cost: entries.reduce((sum, entry) => sum + (entry.cost || 0), 0),
+      currency,
+      from: entries.reduce((min, entry) => (entry.timestamp < min ? entry.timestamp : min), entries[0].timestamp),
+      to: entries.reduce((max, entry) => (entry.timestamp > max ? entry.timestamp : max), entries[0].timestamp)
+    };
+
+    console.log(chalk.gray('━'.repeat(74)));
+    console.log(chalk.green(`Total: ${totals.queries} queries, ${totals.totalTokens.toLocaleString()} tokens, ${this.formatAmount(totals.cost, currency)} (${totals.from.slice(0, 10)} to ${totals.to.slice(0, 10)})`));
+
+    if (this.options.csv) {
+      this.writeFile(this.options.csv, UsageLedger.toCSV(Object.values(groups).flat()));
+    }
+    if (this.options.json) {
+      this.writeFile(this.options.json, JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        ledger: this.ledger.path,
+        range: { from: this.options.from, to: this.options.to },
+        totals,
+        ...groups
+      }, null, 2));
+    }
+
+    return { totals, groups };
+  }
+}
+
+// Run the report if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    new UsageReport().run();
+  } catch (error) {
+    console.error(chalk.red('❌ Usage report failed:'), error.message);
+    process.exit(1);
+  }
+}
+
+export default UsageReport;
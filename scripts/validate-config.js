@@ -9,6 +9,10 @@ import dotenv from 'dotenv';
 import chalk from 'chalk';
 import fs from 'fs';
 import path from 'path';
+import PropertyDataLoader from '../src/data-loader.js';
+import CatalogParser from '../src/catalog-parser.js';
+import PropertyValidator from '../src/property-validator.js';
+import { providerRequiresApiKey } from '../src/llm-providers.js';
 
 // Load environment variables
 dotenv.config();
@@ -27,10 +31,15 @@ class ConfigValidator {
     console.log(chalk.blue.bold('\n🔍 Environment Configuration Validation'));
     console.log(chalk.gray('━'.repeat(50)));
 
-    // Required variables
-    const required = {
-      'OPENAI_API_KEY': 'OpenAI API key for AI functionality',
-    };
+    // Required variables depend on the LLM provider
+    const provider = process.env.LLM_PROVIDER || 'openai';
+    const required = {};
+    if (providerRequiresApiKey(provider)) {
+      required.OPENAI_API_KEY = 'OpenAI API key for AI functionality';
+    } else if (provider === 'openai-compatible') {
+      required.LLM_BASE_URL = 'Base URL of the OpenAI-compatible server';
+    }
+    console.log(chalk.cyan(`✅ LLM_PROVIDER: ${provider}`));
 
     // Optional but recommended variables
     const recommended = {
@@ -48,7 +57,7 @@ class ConfigValidator {
       } else if (process.env[key] === 'your-openai-api-key-here') {
         this.errors.push(`❌ Default placeholder: ${key} needs actual value`);
       } else {
-        console.log(chalk.green(`✅ ${key}: ${this.maskApiKey(process.env[key])}`));
+        console.log(chalk.green(`✅ ${key}: ${key.endsWith('API_KEY') ? this.maskApiKey(process.env[key]) : process.env[key]}`));
         this.passed++;
       }
     }
@@ -93,43 +102,53 @@ class ConfigValidator {
   }
 
   /**
-   * Validate JSON data structure
+   * Validate catalog data structure against the property schema
    */
   validateDataStructure() {
     console.log(chalk.blue.bold('\n📊 Data Structure Validation'));
     console.log(chalk.gray('━'.repeat(50)));
 
     try {
-      const dataPath = path.join(process.cwd(), 'data/properties.json');
-      const data = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+      const loader = new PropertyDataLoader(18, {
+        dataPath: process.env.JSON_DATA_PATH,
+        catalogFormat: process.env.CATALOG_FORMAT,
+        csvColumnMap: CatalogParser.parseColumnMap(process.env.CSV_COLUMN_MAP),
+        csvDelimiter: process.env.CSV_DELIMITER
+      });
+      const files = loader.resolveCatalogFiles();
+      const documents = files.map(file => loader.loadCatalogFile(file));
+      const data = documents[0] || {};
 
       if (data.metadata) {
-        console.log(chalk.green(`✅ Metadata: ${data.metadata.total_properties} properties`));
-        console.log(chalk.green(`✅ Countries: ${data.metadata.countries}`));
-        console.log(chalk.green(`✅ Price range: ${data.metadata.price_range}`));
+        console.log(chalk.green(`✅ Metadata: ${data.metadata.totalProperties} properties`));
+        console.log(chalk.green(`✅ Countries: ${data.metadata.geographicCoverage?.length}`));
+        console.log(chalk.green(`✅ Price range: $${data.metadata.priceRange?.min}-$${data.metadata.priceRange?.max}`));
         this.passed += 3;
       }
 
-      if (data.properties && Array.isArray(data.properties)) {
-        console.log(chalk.green(`✅ Properties array: ${data.properties.length} items`));
-        
-        // Validate property structure
-        const sampleProperty = data.properties[0];
-        const requiredFields = ['id', 'title', 'price', 'location', 'description'];
-        
-        for (const field of requiredFields) {
-          if (sampleProperty[field]) {
-            this.passed++;
-          } else {
-            this.warnings.push(`⚠️ Property missing field: ${field}`);
+      const properties = documents.flatMap(document => document.properties || []);
+      if (documents.length > 0) {
+        console.log(chalk.green(`✅ Properties: ${properties.length} items in ${files.length} file(s)`));
+
+        // Validate every record with the same schema the data loader enforces
+        const { report } = new PropertyValidator().validateAll(properties);
+        this.passed += report.validRecords;
+
+        for (const entry of report.quarantined) {
+          for (const { field, reason } of entry.errors) {
+            this.errors.push(`❌ Property ${entry.id || `#${entry.index + 1}`}: ${field} ${reason}`);
           }
         }
+
+        if (report.quarantinedRecords === 0) {
+          console.log(chalk.green(`✅ Schema: all ${report.validRecords} properties valid`));
+        }
       } else {
         this.errors.push('❌ Invalid properties data structure');
       }
 
     } catch (error) {
-      this.errors.push(`❌ JSON parsing error: ${error.message}`);
+      this.errors.push(`❌ Catalog parsing error: ${error.message}`);
     }
   }
 
@@ -0,0 +1,190 @@
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Response cache for repeated and near-identical questions
+ * Keyed on the normalized question, model, prompt version, answer format, language and catalog hash,
+ * so a catalog change can never serve a stale answer
+ */
+class AnswerCache {
+  constructor(options = {}) {
+    this.options = {
+      ttl: options.ttl ?? 3600000, // Milliseconds, 0 = never expire
+      maxEntries: options.maxEntries || 500,
+      // null = memory only; relative paths resolve from the project root
+      cachePath: options.cachePath ? resolve(join(__dirname, '..'), options.cachePath) : null
+    };
+
+    // Filler words that don't change what is being asked
+    this.fillerWords = new Set([
+      'a', 'an', 'the', 'please', 'can', 'could', 'would', 'you', 'me', 'i', 'show', 'tell',
+      'do', 'have', 'any', 'some', 'is', 'are', 'there', 'what', 'whats', 'available'
+    ]);
+
+    // Questions that lean on the previous answer can't be reused across conversations
+    this.followUpPattern = /\b(it|its|those|these|them|they|this one|that one|the first|the second|the third|the last|first one|second one|cheaper|pricier|bigger|smaller|another|else|instead|more like|same)\b/;
+
+    this.entries = new Map();
+    this.stats = { hits: 0, misses: 0 };
+    this.load();
+  }
+
+  /**
+   * Normalize a question so trivially different phrasings share a cache entry
+   */
+  normalizeQuestion(question) {
+    return (question || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/'/g, '')
+      .replace(/[^\p{L}\p{M}\p{N}$]+/gu, ' ')
+      .split(' ')
+      .filter(word => word && !this.fillerWords.has(word))
+      .join(' ');
+  }
+
+  /**
+   * Whether a question refers back to earlier turns ("anything cheaper?", "tell me about the second one")
+   */
+  isFollowUp(question) {
+    return this.followUpPattern.test(` ${(question || '').toLowerCase()} `);
+  }
+
+  /**
+   * Stable hash of the loaded catalog
+   */
+  static hashCatalog(properties) {
+    return createHash('sha256').update(JSON.stringify(properties)).digest('hex').substring(0, 16);
+  }
+
+  /**
+   * Cache key for a question in a given context { model, promptVersion, format, language, catalogHash }
+   */
+  key(question, context) {
+    return createHash('sha256')
+      .update(JSON.stringify([this.normalizeQuestion(question), context.model, context.promptVersion, context.format, context.language, context.catalogHash]))
+      .digest('hex');
+  }
+
+  /**
+   * Look up a cached response, dropping it when expired
+   */
+  get(question, context) {
+    const key = this.key(question, context);
+    const entry = this.entries.get(key);
+
+    if (!entry || (this.options.ttl > 0 && Date.now() - entry.storedAt > this.options.ttl)) {
+      if (entry) this.entries.delete(key);
+      this.stats.misses++;
+      return null;
+    }
+
+    this.stats.hits++;
+    return entry.response;
+  }
+
+  /**
+   * Whether a fresh response is cached, without counting a hit or miss
+   */
+  has(question, context) {
+    const entry = this.entries.get(this.key(question, context));
+    return !!entry && !(this.options.ttl > 0 && Date.now() - entry.storedAt > this.options.ttl);
+  }
+
+  /**
+   * Store a response, evicting the oldest entries beyond maxEntries
+   */
+  set(question, context, response) {
+    const key = this.key(question, context);
+    this.entries.delete(key);
+    this.entries.set(key, { catalogHash: context.catalogHash, storedAt: Date.now(), response });
+
+    while (this.entries.size > this.options.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    this.save();
+  }
+
+  /**
+   * Drop every entry built from a different catalog
+   */
+  invalidate(catalogHash) {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (entry.catalogHash !== catalogHash) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      console.log(chalk.gray(`🗑️ Answer cache: dropped ${removed} entries from the previous catalog`));
+      this.save();
+    }
+    return removed;
+  }
+
+  /**
+   * Remove all entries
+   */
+  clear() {
+    this.entries.clear();
+    this.save();
+  }
+
+  /**
+   * Load persisted entries from disk (expired ones are skipped)
+   */
+  load() {
+    if (!this.options.cachePath || !existsSync(this.options.cachePath)) return;
+
+    try {
+      const snapshot = JSON.parse(readFileSync(this.options.cachePath, 'utf8'));
+      for (const [key, entry] of Object.entries(snapshot.entries || {})) {
+        if (this.options.ttl > 0 && Date.now() - entry.storedAt > this.options.ttl) continue;
+        this.entries.set(key, entry);
+      }
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️ Ignoring unreadable answer cache: ${error.message}`));
+    }
+  }
+
+  /**
+   * Persist entries to disk when a cache path is configured
+   */
+  save() {
+    if (!this.options.cachePath) return;
+
+    try {
+      mkdirSync(dirname(this.options.cachePath), { recursive: true });
+      writeFileSync(this.options.cachePath, JSON.stringify({
+        savedAt: new Date().toISOString(),
+        entries: Object.fromEntries(this.entries)
+      }, null, 2));
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️ Could not write answer cache: ${error.message}`));
+    }
+  }
+
+  /**
+   * Cache statistics for debugging
+   */
+  getStats() {
+    return {
+      entries: this.entries.size,
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      persistent: !!this.options.cachePath
+    };
+  }
+}
+
+export default AnswerCache;
@@ -0,0 +1,206 @@
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Live REST data source for rental property listings
+ * Caches the last good response on disk and revalidates it with ETag/Last-Modified
+ */
+class ApiDataSource {
+  constructor(options = {}) {
+    this.options = {
+      ...options,
+      endpoint: options.endpoint || 'https://real-estate-server-depi.vercel.app/api/residency/allresd',
+      // Relative paths resolve from the project root, like the catalog and pricing files
+      cachePath: resolve(join(__dirname, '..'), options.cachePath || 'cache/api-properties.json'),
+      timeout: options.timeout || 10000,
+      headers: options.headers || {}
+    };
+    this.lastStatus = null;
+  }
+
+  /**
+   * Read every cached snapshot from disk, keyed by endpoint ({} if missing or unreadable)
+   */
+  readSnapshots() {
+    try {
+      if (!existsSync(this.options.cachePath)) return {};
+      const cache = JSON.parse(readFileSync(this.options.cachePath, 'utf8'));
+
+      // Older cache files held a single snapshot
+      return cache.snapshots || (cache.endpoint ? { [cache.endpoint]: cache } : {});
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️ Ignoring unreadable API cache: ${error.message}`));
+      return {};
+    }
+  }
+
+  /**
+   * Read this endpoint's cached snapshot (null if there is none)
+   * Another endpoint's ETag or listings never stand in for this one
+   */
+  readCache() {
+    return this.readSnapshots()[this.options.endpoint] || null;
+  }
+
+  /**
+   * Persist a snapshot to disk next to the other endpoints' snapshots
+   */
+  writeCache(snapshot) {
+    try {
+      const snapshots = { ...this.readSnapshots(), [snapshot.endpoint]: snapshot };
+      mkdirSync(dirname(this.options.cachePath), { recursive: true });
+      writeFileSync(this.options.cachePath, JSON.stringify({ snapshots }, null, 2));
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️ Could not write API cache: ${error.message}`));
+    }
+  }
+
+  /**
+   * Extract the listings array from the various payload shapes the API may return
+   */
+  extractRecords(payload) {
+    if (Array.isArray(payload)) return payload;
+    if (Array.isArray(payload?.properties)) return payload.properties;
+    if (Array.isArray(payload?.data)) return payload.data;
+    if (Array.isArray(payload?.residencies)) return payload.residencies;
+    throw new Error('Invalid API response: listings array not found');
+  }
+
+  /**
+   * Map an API record into the same shape as data/properties.json entries
+   */
+  mapRecord(record) {
+    const facilities = record.facilities || {};
+
+    return {
+      id: record.id || record._id,
+      title: record.title,
+      description: record.description,
+      price: typeof record.price === 'string' ? parseFloat(record.price) : record.price,
+      address: record.address,
+      city: record.city,
+      country: record.country,
+      image: record.image,
+      facilities: {
+        bedrooms: facilities.bedrooms,
+        bathrooms: facilities.bathrooms,
+        parkings: facilities.parkings ?? facilities.parking
+      },
+      userEmail: record.userEmail,
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt
+    };
+  }
+
+  /**
+   * Build conditional request headers from a cached snapshot
+   * conditional = false also drops any If-None-Match/If-Modified-Since set in options.headers
+   */
+  buildHeaders(cached, conditional = true) {
+    const headers = { Accept: 'application/json', ...this.options.headers };
+
+    if (!conditional) {
+      for (const name of Object.keys(headers)) {
+        if (/^if-(none-match|modified-since)$/i.test(name)) delete headers[name];
+      }
+      return headers;
+    }
+
+    if (cached?.etag) headers['If-None-Match'] = cached.etag;
+    if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+    return headers;
+  }
+
+  /**
+   * Fetch listings from the endpoint, revalidating the on-disk cache
+   * Falls back to the last good snapshot when the endpoint is unreachable
+   */
+  async fetchProperties() {
+    const cached = this.readCache();
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.options.timeout);
+
+    try {
+      console.log(chalk.blue(`🌐 Fetching property data from ${this.options.endpoint}...`));
+
+      let response = await fetch(this.options.endpoint, {
+        headers: this.buildHeaders(cached),
+        signal: controller.signal
+      });
+
+      if (response.status === 304 && cached) {
+        console.log(chalk.green(`✅ API data unchanged, using cached snapshot (${cached.properties.length} properties)`));
+        this.lastStatus = 'not-modified';
+        return this.toDataset(cached);
+      }
+
+      // A 304 with no snapshot to reuse is useless, so ask again without conditions
+      if (response.status === 304) {
+        console.log(chalk.yellow('⚠️ API answered 304 but no cached snapshot exists, refetching in full'));
+        response = await fetch(this.options.endpoint, {
+          headers: this.buildHeaders(null, false),
+          signal: controller.signal
+        });
+      }
+
+      if (!response.ok) {
+        throw new Error(`API responded with ${response.status} ${response.statusText}`);
+      }
+
+      const payload = await response.json();
+      const properties = this.extractRecords(payload).map(record => this.mapRecord(record));
+
+      const snapshot = {
+        endpoint: this.options.endpoint,
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified'),
+        fetchedAt: new Date().toISOString(),
+        properties
+      };
+      this.writeCache(snapshot);
+
+      console.log(chalk.green(`✅ Successfully fetched ${properties.length} properties from API`));
+      this.lastStatus = 'fresh';
+      return this.toDataset(snapshot);
+
+    } catch (error) {
+      const reason = error.name === 'AbortError' ? `timed out after ${this.options.timeout}ms` : error.message;
+
+      if (cached) {
+        console.log(chalk.yellow(`⚠️ API unavailable (${reason}), using last good snapshot from ${cached.fetchedAt}`));
+        this.lastStatus = 'stale';
+        return this.toDataset(cached);
+      }
+
+      console.error(chalk.red('❌ API request failed and no cached snapshot exists:'), reason);
+      throw new Error(`Failed to load properties from API: ${reason}`);
+
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Wrap a snapshot in the { metadata, properties } document shape
+   */
+  toDataset(snapshot) {
+    return {
+      metadata: {
+        totalProperties: snapshot.properties.length,
+        lastUpdated: snapshot.fetchedAt,
+        source: `Live API - ${snapshot.endpoint}`,
+        description: 'Rental property listings fetched from live API',
+        cacheStatus: this.lastStatus
+      },
+      properties: snapshot.properties
+    };
+  }
+}
+
+export default ApiDataSource;
@@ -0,0 +1,198 @@
+import { extname } from 'path';
+
+/**
+ * Parsers for property catalog files in JSON, CSV and NDJSON formats
+ * Every format produces the same { metadata, properties } document as data/properties.json
+ */
+class CatalogParser {
+  constructor(options = {}) {
+    this.options = {
+      format: options.format || 'auto',
+      delimiter: options.delimiter || ',',
+      columnMap: options.columnMap || {}
+    };
+
+    this.extensions = {
+      '.json': 'json',
+      '.csv': 'csv',
+      '.ndjson': 'ndjson',
+      '.jsonl': 'ndjson'
+    };
+
+    // Fields stored as numbers in the JSON catalog
+    this.numericFields = ['price', 'facilities.bedrooms', 'facilities.bathrooms', 'facilities.parkings', 'facilities.parking'];
+  }
+
+  /**
+   * Parse a "Header:field,Other Header:facilities.bedrooms" mapping string
+   */
+  static parseColumnMap(value) {
+    if (!value) return {};
+
+    return Object.fromEntries(
+      value.split(',')
+        .map(pair => pair.split(':').map(part => part.trim()))
+        .filter(([column, field]) => column && field)
+    );
+  }
+
+  /**
+   * Check whether a file extension is a supported catalog format
+   */
+  isSupported(filePath) {
+    return extname(filePath).toLowerCase() in this.extensions;
+  }
+
+  /**
+   * Pick the format from the explicit option or the file extension
+   */
+  detectFormat(filePath) {
+    if (this.options.format !== 'auto') return this.options.format;
+    return this.extensions[extname(filePath).toLowerCase()] || 'json';
+  }
+
+  /**
+   * Parse file content into a { metadata, properties } document
+   */
+  parse(content, filePath) {
+    const format = this.detectFormat(filePath);
+
+    switch (format) {
+      case 'json':
+        return this.parseJson(content, filePath);
+      case 'csv':
+        return { metadata: null, properties: this.parseCsv(content, filePath) };
+      case 'ndjson':
+        return { metadata: null, properties: this.parseNdjson(content, filePath) };
+      default:
+        throw new Error(`Unsupported catalog format "${format}" for ${filePath}`);
+    }
+  }
+
+  /**
+   * Parse a { metadata, properties: [] } JSON document
+   */
+  parseJson(content, filePath) {
+    const document = JSON.parse(content);
+
+    if (!document.properties || !Array.isArray(document.properties)) {
+      throw new Error(`Invalid JSON structure in ${filePath}: properties array not found`);
+    }
+
+    return document;
+  }
+
+  /**
+   * Parse newline-delimited JSON, one property per line
+   */
+  parseNdjson(content, filePath) {
+    return content.split(/\r?\n/)
+      .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+      .filter(({ line }) => line && !line.startsWith('//'))
+      .map(({ line, number }) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          throw new Error(`Invalid NDJSON in ${filePath} line ${number}: ${error.message}`);
+        }
+      });
+  }
+
+  /**
+   * Parse CSV rows into property records using the header row and column map
+   */
+  parseCsv(content, filePath) {
+    const rows = this.splitCsvRows(content.replace(/^\uFEFF/, ''));
+    if (rows.length === 0) return [];
+
+    const headers = rows[0].map(header => header.trim());
+    const fields = headers.map(header => this.options.columnMap[header] || header);
+
+    return rows.slice(1)
+      .filter(row => row.some(cell => cell.trim() !== ''))
+      .map((row, index) => {
+        if (row.length !== headers.length) {
+          throw new Error(`Invalid CSV in ${filePath} row ${index + 2}: expected ${headers.length} columns, got ${row.length}`);
+        }
+
+        const record = {};
+        fields.forEach((field, column) => {
+          const value = row[column].trim();
+          if (value !== '') this.setField(record, field, this.coerce(field, value));
+        });
+        return record;
+      });
+  }
+
+  /**
+   * Split CSV text into rows of cells (RFC 4180 quoting, CRLF or LF line endings)
+   */
+  splitCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === this.options.delimiter) {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell !== '' || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Convert numeric columns to numbers, leaving unparseable values as text
+   */
+  coerce(field, value) {
+    if (!this.numericFields.includes(field)) return value;
+
+    const number = Number(value.replace(/[$,]/g, ''));
+    return Number.isNaN(number) ? value : number;
+  }
+
+  /**
+   * Assign a value to a dotted field path such as "facilities.bedrooms"
+   */
+  setField(record, path, value) {
+    const keys = path.split('.');
+    let target = record;
+
+    for (const key of keys.slice(0, -1)) {
+      if (typeof target[key] !== 'object' || target[key] === null) target[key] = {};
+      target = target[key];
+    }
+
+    target[keys[keys.length - 1]] = value;
+  }
+}
+
+export default CatalogParser;
@@ -0,0 +1,99 @@
+import { watch, existsSync, statSync } from 'fs';
+import { dirname, resolve } from 'path';
+import chalk from 'chalk';
+
+/**
+ * Watches the property catalog for changes while a session is running
+ * Local catalogs are watched on disk; the live API is polled on an interval
+ */
+class CatalogWatcher {
+  constructor(dataLoader, onChange, options = {}) {
+    this.dataLoader = dataLoader;
+    this.onChange = onChange;
+    this.options = {
+      debounce: options.debounce || 300,
+      pollInterval: options.pollInterval || 0
+    };
+    this.watchers = [];
+    this.pollTimer = null;
+    this.debounceTimer = null;
+  }
+
+  /**
+   * Directories to watch for the local catalog
+   * Directories are watched instead of files so editors that save by rename are still seen
+   */
+  getWatchDirectories() {
+    const spec = this.dataLoader.dataPath;
+    const directories = new Set();
+
+    if (/[*?]/.test(spec)) {
+      const segments = spec.split(/[\\/]/);
+      const base = segments.slice(0, segments.findIndex(segment => /[*?]/.test(segment))).join('/') || '.';
+      directories.add(resolve(base));
+    } else if (existsSync(spec) && statSync(spec).isDirectory()) {
+      directories.add(resolve(spec));
+    } else {
+      directories.add(resolve(dirname(spec)));
+    }
+
+    // Also watch nested directories that already contain catalog files
+    for (const file of this.dataLoader.resolveCatalogFiles()) {
+      if (existsSync(file)) directories.add(resolve(dirname(file)));
+    }
+
+    return [...directories].filter(directory => existsSync(directory));
+  }
+
+  /**
+   * Start watching the catalog source
+   */
+  start() {
+    if (this.dataLoader.dataSource === 'api') {
+      if (this.options.pollInterval > 0) {
+        this.pollTimer = setInterval(() => this.trigger('api refresh'), this.options.pollInterval);
+        this.pollTimer.unref();
+        console.log(chalk.gray(`👀 Polling property API every ${Math.round(this.options.pollInterval / 1000)}s for changes`));
+      }
+      return;
+    }
+
+    for (const directory of this.getWatchDirectories()) {
+      try {
+        const watcher = watch(directory, (eventType, filename) => {
+          if (!filename || this.dataLoader.isCatalogFile(filename)) {
+            this.trigger(filename || directory);
+          }
+        });
+        watcher.unref();
+        this.watchers.push(watcher);
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️ Could not watch ${directory}: ${error.message}`));
+      }
+    }
+
+    if (this.watchers.length > 0 && process.env.DEBUG_MODE === 'true') {
+      console.log(chalk.gray(`👀 Watching ${this.watchers.length} catalog director${this.watchers.length === 1 ? 'y' : 'ies'} for changes`));
+    }
+  }
+
+  /**
+   * Debounce bursts of file events (editors often write several times per save)
+   */
+  trigger(reason) {
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(() => this.onChange(reason), this.options.debounce);
+  }
+
+  /**
+   * Stop watching
+   */
+  stop() {
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers = [];
+    clearInterval(this.pollTimer);
+    clearTimeout(this.debounceTimer);
+  }
+}
+
+export default CatalogWatcher;
@@ -0,0 +1,406 @@
+import chalk from 'chalk';
+import CommandRegistry from './command-registry.js';
+import QueryFilter from './query-filter.js';
+import TokenCounter from './token-counter.js';
+
+/**
+ * The CLI's slash commands (/show, /list, /filter, /sort, /stats, /cost, /reset, /model, /help, /exit)
+ * Everything except /exit works on the loaded catalog and session state, so no command calls the AI
+ */
+class ChatCommands {
+  // Fields /filter understands and how their values compare
+  static FIELDS = { price: 'number', bedrooms: 'number', bathrooms: 'number', parking: 'number', city: 'text', country: 'text' };
+  static SORT_FIELDS = ['price', 'bedrooms', 'bathrooms', 'parking'];
+
+  constructor(chatbot) {
+    this.chatbot = chatbot;
+    this.queryFilter = new QueryFilter();
+    this.selection = null; // Last /filter result, which /sort orders
+    this.registry = new CommandRegistry({ i18n: chatbot.i18n });
+    this.registerCommands();
+  }
+
+  /**
+   * Translated string from the chatbot's locale bundle
+   */
+  t(key, variables) {
+    return this.chatbot.i18n.t(key, variables);
+  }
+
+  /**
+   * Declare every command with its arguments and examples
+   */
+  registerCommands() {
+    this.registry
+      .register({
+        name: 'show',
+        args: [{ name: 'id', required: true }],
+        description: 'slash.descriptions.show',
+        examples: ['/show 3', '/show 648a1ed5'],
+        run: ({ id }) => this.show(id)
+      })
+      .register({
+        name: 'list',
+        description: 'slash.descriptions.list',
+        run: () => this.list()
+      })
+      .register({
+        name: 'filter',
+        args: [{ name: 'condition', required: true, rest: true }],
+        description: 'slash.descriptions.filter',
+        examples: ['/filter price<80 country=France', '/filter bedrooms>=2 parking>=1', '/filter country="United Kingdom"'],
+        run: ({ condition }) => this.filter(condition)
+      })
+      .register({
+        name: 'sort',
+        args: [{ name: 'field', required: true, choices: ChatCommands.SORT_FIELDS }, { name: 'direction', choices: ['asc', 'desc'] }],
+        description: 'slash.descriptions.sort',
+        examples: ['/sort price', '/sort bedrooms desc'],
+        run: ({ field, direction }) => this.sort(field, direction)
+      })
+      .register({
+        name: 'stats',
+        description: 'slash.descriptions.stats',
+        run: () => this.stats()
+      })
+      .register({
+        name: 'cost',
+        description: 'slash.descriptions.cost',
+        run: () => this.cost()
+      })
+      .register({
+        name: 'reset',
+        aliases: ['clear'],
+        description: 'slash.descriptions.reset',
+        run: () => this.reset()
+      })
+      .register({
+        name: 'model',
+        args: [{ name: 'name' }],
+        description: 'slash.descriptions.model',
+        examples: ['/model', '/model gpt-4o-mini', '/model auto'],
+        run: ({ name }) => this.model(name)
+      })
+      .register({
+        name: 'help',
+        aliases: ['?'],
+        args: [{ name: 'command' }],
+        description: 'slash.descriptions.help',
+        examples: ['/help', '/help filter'],
+        run: ({ command }) => this.help(command)
+      })
+      .register({
+        name: 'exit',
+        aliases: ['quit'],
+        description: 'slash.descriptions.exit',
+        run: () => this.chatbot.endSession()
+      });
+  }
+
+  /**
+   * Whether a line is a slash command
+   */
+  isCommand(input) {
+    return this.registry.isCommand(input);
+  }
+
+  /**
+   * Run a command line, printing input errors with the command's usage
+   * Resolves with { ok, result } or { ok: false, error }
+   */
+  async run(input) {
+    try {
+      return { ok: true, result: await this.registry.execute(input) };
+    } catch (error) {
+      if (error.errorClass !== 'command') throw error;
+
+      console.log(chalk.red(`\n❌ ${error.message}`));
+      if (error.command) {
+        console.log(chalk.gray(`   ${this.t('slash.usage', { usage: this.registry.usage(error.command) })}`));
+        console.log(chalk.gray(`   ${this.t('slash.help.detail', { command: error.command.name })}`));
+      }
+      return { ok: false, error };
+    }
+  }
+
+  /**
+   * The loaded catalog (formatted properties)
+   */
+  properties() {
+    return this.chatbot.llmService?.properties || [];
+  }
+
+  /**
+   * Find a property by id, list number or unique id prefix (4+ characters)
+   */
+  resolveProperty(reference) {
+    const properties = this.properties();
+    const text = reference.toLowerCase();
+
+    const exact = properties.find(property => String(property.id).toLowerCase() === text);
+    if (exact) return exact;
+
+    if (/^\d+$/.test(text)) {
+      const byNumber = properties.find(property => property.index === Number(text));
+      if (byNumber) return byNumber;
+    }
+
+    const matches = text.length >= 4 ? properties.filter(property => String(property.id).toLowerCase().startsWith(text)) : [];
+    if (matches.length > 1) throw this.registry.error('slash.errors.ambiguous', { id: reference, count: matches.length });
+    if (matches.length === 0) throw this.registry.error('slash.errors.notFound', { id: reference });
+    return matches[0];
+  }
+
+  /**
+   * Print properties as a numbered list with short ids
+   */
+  printProperties(title, properties) {
+    console.log(chalk.cyan(`\n📋 ${title}`));
+    properties.forEach(property => {
+      console.log(chalk.white(`   ${String(property.index).padStart(2)}. ${property.title}`) +
+        chalk.gray(` - ${property.location} - ${property.priceDisplay} (${property.facilitiesText}) [${String(property.id).slice(0, 8)}]`));
+    });
+    if (properties.length > 0) {
+      console.log(chalk.gray(`   ${this.t('slash.list.hint')}`));
+    }
+  }
+
+  /**
+   * /show <id>: every detail of one property, with the full description
+   */
+  show(reference) {
+    const property = this.resolveProperty(reference);
+    const raw = this.chatbot.dataLoader?.getRawProperty(property.id) || null;
+
+    console.log(chalk.cyan(`\n🏠 ${property.title}`));
+    console.log(chalk.gray(`   ${this.t('slash.show.id')}: ${property.id}`));
+    console.log(chalk.white(`   ${this.t('slash.show.price')}: ${property.priceDisplay}`));
+    console.log(chalk.white(`   ${this.t('slash.show.location')}: ${property.location}`));
+    console.log(chalk.white(`   ${this.t('slash.show.address')}: ${property.address}`));
+    console.log(chalk.white(`   ${this.t('slash.show.facilities')}: ${property.facilitiesText}`));
+    console.log(chalk.gray(`\n   ${raw?.description || property.description}`));
+    return property;
+  }
+
+  /**
+   * /list: the whole catalog (and forget the last /filter)
+   */
+  list() {
+    this.selection = null;
+    const properties = this.properties();
+    this.printProperties(this.t('slash.list.title', { count: properties.length }), properties);
+    return properties;
+  }
+
+  /**
+   * Parse "price<80", "price < 80" or country="United Kingdom" words into conditions
+   * Returns [{ field, operator, value, text }]
+   */
+  parseConditions(words) {
+    const conditions = [];
+    let pending = '';
+
+    for (const word of words) {
+      pending = pending ? `${pending}${/[<>=]$/.test(pending) || /^[<>=!]/.test(word) ? '' : ' '}${word}` : word;
+      const match = pending.match(/^([a-z]+)\s*(<=|>=|!=|=|<|>)\s*(.+)$/i);
+
+      if (match) {
+        conditions.push(this.parseCondition(match, pending));
+        pending = '';
+      } else if (!/^[a-z]+\s*(<=|>=|!=|=|<|>)?$/i.test(pending)) {
+        throw this.registry.error('slash.errors.condition', { condition: pending });
+      }
+    }
+
+    if (pending) throw this.registry.error('slash.errors.condition', { condition: pending });
+    return conditions;
+  }
+
+  /**
+   * Validate one condition's field, operator and value
+   */
+  parseCondition([, name, operator, rawValue], text) {
+    const field = name.toLowerCase();
+    const type = ChatCommands.FIELDS[field];
+    if (!type) {
+      throw this.registry.error('slash.errors.field', { field: name, fields: Object.keys(ChatCommands.FIELDS).join(', ') });
+    }
+
+    if (type === 'number') {
+      const value = Number(rawValue.replace(/[$,]/g, ''));
+      if (rawValue.trim() === '' || Number.isNaN(value)) throw this.registry.error('slash.errors.number', { field, value: rawValue });
+      return { field, operator, value, text };
+    }
+
+    if (!['=', '!='].includes(operator)) throw this.registry.error('slash.errors.textOperator', { field });
+    const value = this.plain(rawValue);
+    const aliases = field === 'city' ? this.queryFilter.cityAliases : this.queryFilter.countryAliases;
+    return { field, operator, value: aliases[value] ? this.plain(aliases[value]) : value, text };
+  }
+
+  /**
+   * Lowercase, accent-free text for comparisons
+   */
+  plain(text) {
+    return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+  }
+
+  /**
+   * Whether a property satisfies a condition
+   */
+  matches(property, { field, operator, value }) {
+    const actual = ChatCommands.FIELDS[field] === 'number'
+      ? (field === 'price' ? property.price : property.facilities[field])
+      : this.plain(property[field]);
+
+    switch (operator) {
+      case '<': return actual < value;
+      case '<=': return actual <= value;
+      case '>': return actual > value;
+      case '>=': return actual >= value;
+      case '!=': return actual !== value;
+      default: return actual === value;
+    }
+  }
+
+  /**
+   * /filter <condition...>: properties matching every condition
+   */
+  filter(words) {
+    const conditions = this.parseConditions(words);
+    const properties = this.properties();
+    const matches = properties.filter(property => conditions.every(condition => this.matches(property, condition)));
+    const description = conditions.map(condition => condition.text).join(', ');
+
+    this.selection = matches;
+    if (matches.length === 0) {
+      console.log(chalk.yellow(`\n🔎 ${this.t('slash.filter.none', { conditions: description })}`));
+    } else {
+      this.printProperties(this.t('slash.filter.title', { count: matches.length, total: properties.length, conditions: description }), matches);
+    }
+    return matches;
+  }
+
+  /**
+   * /sort <field> [asc|desc]: the last /filter result (or the catalog) in order
+   * Price defaults to cheapest first, facilities to the most first
+   */
+  sort(field, direction = field === 'price' ? 'asc' : 'desc') {
+    const sorted = this.queryFilter.rank(this.selection || this.properties(), { field, direction });
+    this.printProperties(this.t('slash.sort.title', { count: sorted.length, field, direction }), sorted);
+    return sorted;
+  }
+
+  /**
+   * /stats: catalog, model and session status
+   */
+  stats() {
+    const status = this.chatbot.getStatus();
+    const llm = status.llmService || {};
+    const routes = llm.routing ? Object.entries(llm.routing).map(([route, target]) => `${route} → ${target}`).join(', ') : this.t('slash.stats.off');
+
+    console.log(chalk.cyan(`\n📊 ${this.t('slash.stats.title')}`));
+    console.log(chalk.white(`   ${this.t('slash.stats.properties', { count: llm.propertiesLoaded ?? 0, source: status.config.dataSource })}`));
+    console.log(chalk.white(`   ${this.t('slash.stats.questions', { count: status.questionsAnswered })}`));
+    console.log(chalk.white(`   ${this.t('slash.stats.model', { model: llm.offline ? 'rule-based' : llm.model, provider: status.config.provider })}`));
+    console.log(chalk.white(`   ${this.t('slash.stats.routing', { routes })}`));
+    console.log(chalk.white(`   ${this.t('slash.stats.memory', { turns: llm.historyTurns ?? 0 })}`));
+    if (llm.answerCache) {
+      console.log(chalk.white(`   ${this.t('slash.stats.cache', { hits: llm.answerCache.hits, misses: llm.answerCache.misses })}`));
+    }
+    if (llm.circuit) {
+      console.log(chalk.white(`   ${this.t('slash.stats.circuit', { state: llm.circuit.state })}`));
+    }
+    if (status.config.metrics) {
+      console.log(chalk.white(`   ${this.t('slash.stats.metrics', { url: status.config.metrics })}`));
+    }
+    return status;
+  }
+
+  /**
+   * /cost: the session cost summary
+   */
+  cost() {
+    const tracker = this.chatbot.costTracker;
+    if (tracker.sessions.length === 0) {
+      console.log(chalk.gray(`\n💰 ${this.t('slash.cost.none')}`));
+    } else {
+      tracker.displaySessionSummary();
+    }
+    return tracker.getSessionStats();
+  }
+
+  /**
+   * /reset: clear the conversation memory and the last /filter
+   */
+  reset() {
+    this.chatbot.llmService.resetHistory();
+    this.selection = null;
+    console.log(chalk.cyan(`\n🧹 ${this.t('session.reset')}`));
+    return true;
+  }
+
+  /**
+   * /model [name]: show the model, switch every question to one model, or "auto" to route again
+   */
+  model(name = null) {
+    const service = this.chatbot.llmService;
+    const routes = () => Object.entries(service.router.targets).map(([route, target]) => `${route} → ${target}`).join(', ');
+
+    if (!name) {
+      console.log(chalk.cyan(`\n🤖 ${this.t('slash.model.current', { model: service.options.offline ? 'rule-based' : service.options.model })}`));
+      if (service.options.routing && !service.options.offline) {
+        console.log(chalk.gray(`   ${this.t('slash.model.routed', { routes: routes() })}`));
+      }
+      return { model: service.options.model, routing: service.options.routing };
+    }
+
+    if (service.options.offline) throw this.registry.error('slash.errors.offlineModel');
+
+    if (name.toLowerCase() === 'auto') {
+      if (!this.chatbot.config.modelRouting) throw this.registry.error('slash.errors.noRouting');
+      service.options.routing = true;
+      console.log(chalk.cyan(`\n🚦 ${this.t('slash.model.auto', { routes: routes() })}`));
+      return { model: service.options.model, routing: true };
+    }
+
+    // Only models we can price or size: the pricing table, the context window table, or ones already configured
+    const pricingTable = this.chatbot.costTracker.pricingTable;
+    const rate = pricingTable.rateFor(name);
+    const configured = [service.options.model, ...Object.values(service.router.targets)];
+    if (!rate.known && TokenCounter.contextWindow(name, null) === null && !configured.includes(name)) {
+      throw this.registry.error('slash.errors.unknownModel', { model: name, models: Object.keys(pricingTable.table.models).join(', ') });
+    }
+
+    service.options.model = name;
+    service.options.routing = false;
+    this.chatbot.config.openaiModel = name;
+    console.log(chalk.cyan(`\n🤖 ${this.t('slash.model.set', { model: name, rate: this.chatbot.costTracker.formatRate(rate) })}`));
+    return { model: name, routing: false };
+  }
+
+  /**
+   * /help [command]: suggested questions and every command, or one command in detail
+   */
+  help(name = null) {
+    if (name) {
+      const [usage, ...details] = this.registry.help(name);
+      console.log(chalk.cyan(`\n💡 ${usage}`));
+      details.forEach(line => console.log(chalk.gray(line)));
+      return true;
+    }
+
+    console.log(chalk.cyan(`\n💡 ${this.t('session.help.title')}`));
+    this.chatbot.getSuggestedQuestions().slice(0, 8).forEach(question => {
+      console.log(chalk.gray(`   • ${question}`));
+    });
+    console.log(chalk.cyan(`\n🧠 ${this.t('session.help.memory')}`));
+    console.log(chalk.cyan(`\n⌨️  ${this.t('slash.help.title')}`));
+    this.registry.help().forEach(line => console.log(chalk.gray(`   ${line}`)));
+    console.log(chalk.gray(`   ${this.t('slash.help.more')}`));
+    console.log(chalk.gray(`   ${this.t('session.help.commands')}`));
+    return true;
+  }
+}
+
+export default ChatCommands;
@@ -6,7 +6,15 @@ import chalk from 'chalk';
 import PropertyDataLoader from './data-loader.js';
 import LLMService from './llm-service.js';
 import CostTracker from './cost-tracker.js';
+import MetricsRegistry from './metrics-registry.js';
+import MetricsServer from './metrics-server.js';
+import ChatCommands from './chat-commands.js';
+import CatalogParser from './catalog-parser.js';
+import CatalogWatcher from './catalog-watcher.js';
+import PropertyTools from './property-tools.js';
+import { providerRequiresApiKey } from './llm-providers.js';
 import ThinkingAnimation from './thinking-animation.js';
+import Localization from './localization.js';
 
 // Load environment variables
 dotenv.config();
@@ -21,34 +29,126 @@ class RentalPropertyChatbot {
     this.llmService = null;
     this.isInitialized = false;
     this.questionCount = 0;
-    this.costTracker = new CostTracker();
+    this.catalogWatcher = null;
+    this.isProcessing = false;
+    this.pendingReload = false;
+    this.rl = null;
     this.thinkingAnimation = new ThinkingAnimation();
     
     // Configuration from environment - Production ready
     this.config = {
       // AI Configuration
-      openaiApiKey: process.env.OPENAI_API_KEY,
+      llmProvider: process.env.LLM_PROVIDER || 'openai',
+      llmBaseUrl: process.env.LLM_BASE_URL,
+      llmSupportsTools: process.env.LLM_SUPPORTS_TOOLS === 'true',
+      openaiApiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
       openaiModel: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
       temperature: parseFloat(process.env.TEMPERATURE) || 0.2,
       maxTokens: parseInt(process.env.MAX_TOKENS) || 400,
+      contextWindow: parseInt(process.env.CONTEXT_WINDOW) || null,
+      modelRouting: process.env.MODEL_ROUTING !== 'false',
+      routes: {
+        lookup: process.env.ROUTE_LOOKUP_MODEL || null,
+        filter: process.env.ROUTE_FILTER_MODEL || null,
+        recommendation: process.env.ROUTE_RECOMMENDATION_MODEL || null
+      },
+      offline: process.argv.includes('--offline') || process.env.OFFLINE_MODE === 'true',
+      offlineFallback: process.env.OFFLINE_FALLBACK !== 'false',
       
       // Data Configuration
       dataSource: process.env.DATA_SOURCE || 'json',
       maxProperties: parseInt(process.env.MAX_PROPERTIES) || 18,
       jsonDataPath: process.env.JSON_DATA_PATH || './data/properties.json',
+      catalogFormat: process.env.CATALOG_FORMAT || 'auto',
+      csvColumnMap: CatalogParser.parseColumnMap(process.env.CSV_COLUMN_MAP),
+      csvDelimiter: process.env.CSV_DELIMITER || ',',
+      quarantineReportPath: process.env.QUARANTINE_REPORT_PATH || './cache/quarantine-report.json',
+      hotReload: process.env.HOT_RELOAD !== 'false',
+      apiRefreshInterval: parseInt(process.env.API_REFRESH_INTERVAL) || 0,
+      apiEndpoint: process.env.API_ENDPOINT,
+      apiCachePath: process.env.API_CACHE_PATH || './cache/api-properties.json',
+      apiTimeout: parseInt(process.env.API_TIMEOUT) || 10000,
       
       // Performance Configuration
       responseTimeout: parseInt(process.env.RESPONSE_TIMEOUT) || 30000,
+      maxRetries: parseInt(process.env.MAX_RETRIES || '2'),
+      retryBaseDelay: parseInt(process.env.RETRY_BASE_DELAY || '500'),
+      retryMaxDelay: parseInt(process.env.RETRY_MAX_DELAY) || 8000,
+      circuitThreshold: parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD) || 3,
+      circuitCooldown: parseInt(process.env.CIRCUIT_BREAKER_COOLDOWN) || 60000,
       debugMode: process.env.DEBUG_MODE === 'true',
       enableCostTracking: process.env.ENABLE_COST_TRACKING !== 'false',
       cacheSystemPrompt: process.env.CACHE_SYSTEM_PROMPT !== 'false',
+      prefilter: process.env.PREFILTER !== 'false',
+      maxCandidates: parseInt(process.env.MAX_CANDIDATES) || 20,
+      retrievalTopK: parseInt(process.env.RETRIEVAL_TOP_K || '3'),
+      enableTools: process.env.ENABLE_TOOLS !== 'false',
+      maxToolRounds: parseInt(process.env.MAX_TOOL_ROUNDS || '3'),
+      historyTurns: parseInt(process.env.HISTORY_TURNS || '6'),
+      historyTokens: parseInt(process.env.HISTORY_TOKENS) || 1500,
+      verifyGrounding: process.env.VERIFY_GROUNDING !== 'false',
+      responseFormat: process.env.RESPONSE_FORMAT || 'text',
+      answerCache: process.env.ANSWER_CACHE !== 'false',
+      answerCacheTtl: parseInt(process.env.ANSWER_CACHE_TTL || '3600') * 1000,
+      answerCachePath: process.env.ANSWER_CACHE_PATH || null,
+      promptTemplate: process.env.PROMPT_TEMPLATE || 'default',
+      promptDirectory: process.env.PROMPT_DIR || null,
+      promptPersona: process.env.PROMPT_PERSONA || null,
+      answerLanguage: process.env.ANSWER_LANGUAGE || 'auto',
       
       // UX Configuration
       enableAnimations: process.env.ENABLE_ANIMATIONS !== 'false',
       animationStyle: process.env.ANIMATION_STYLE || 'brain',
       welcomeMessage: process.env.WELCOME_MESSAGE || 'default',
-      showPerformanceMetrics: process.env.SHOW_PERFORMANCE_METRICS !== 'false'
+      showPerformanceMetrics: process.env.SHOW_PERFORMANCE_METRICS !== 'false',
+      streamResponses: process.env.STREAM_RESPONSES === 'true',
+      locale: process.env.LOCALE || 'en',
+      
+      // Cost Configuration
+      pricingFile: process.env.PRICING_FILE || null,
+      budgetSession: parseFloat(process.env.BUDGET_SESSION) || 0,
+      budgetDaily: parseFloat(process.env.BUDGET_DAILY) || 0,
+      budgetMonthly: parseFloat(process.env.BUDGET_MONTHLY) || 0,
+      budgetWarnAt: parseFloat(process.env.BUDGET_WARN_AT) || 0.8,
+      budgetAction: process.env.BUDGET_ACTION || 'warn',
+      budgetDowngradeModel: process.env.BUDGET_DOWNGRADE_MODEL || 'gpt-4o-mini',
+      budgetStatePath: process.env.BUDGET_STATE_PATH || './cache/spending.json',
+      usageLedger: process.env.USAGE_LEDGER !== 'false',
+      usageLedgerPath: process.env.USAGE_LEDGER_PATH || './cache/usage-ledger.ndjson',
+      
+      // Monitoring Configuration
+      metricsPort: parseInt(process.env.METRICS_PORT) || 0, // 0 = no metrics endpoint
+      metricsHost: process.env.METRICS_HOST || '127.0.0.1'
     };
+
+    // Counters and histograms for the optional OpenMetrics endpoint
+    this.metrics = new MetricsRegistry()
+      .define('questions', { help: 'Questions asked, by outcome (answered, cached, offline, fallback, refused, error)' })
+      .define('errors', { help: 'Failed questions, by error class' })
+      .define('response_time_seconds', { type: 'histogram', unit: 'seconds', help: 'Time to answer a question' });
+    this.metricsServer = null;
+
+    // Per-model rates come from config/pricing.json (or PRICING_FILE)
+    this.costTracker = new CostTracker({
+      pricingPath: this.config.pricingFile,
+      ledgerPath: this.config.usageLedger ? this.config.usageLedgerPath : null,
+      metrics: this.metrics,
+      budget: {
+        session: this.config.budgetSession,
+        daily: this.config.budgetDaily,
+        monthly: this.config.budgetMonthly,
+        warnAt: this.config.budgetWarnAt,
+        action: this.config.budgetAction,
+        downgradeModel: this.config.budgetDowngradeModel,
+        statePath: this.config.budgetStatePath
+      }
+    });
+
+    // CLI strings come from locales/<LOCALE>.json, falling back to English
+    this.i18n = new Localization({ locale: this.config.locale });
+
+    // Slash commands (/list, /filter, /show...) run locally without the AI
+    this.commands = new ChatCommands(this);
   }
 
   /**
@@ -59,49 +159,96 @@ class RentalPropertyChatbot {
       console.log(chalk.blue.bold('🚀 Initializing Rental Property Chatbot...'));
       console.log(chalk.gray('━'.repeat(50)));
 
-      // Validate configuration
-      if (!this.config.openaiApiKey) {
-        throw new Error('OPENAI_API_KEY is required. Please set it in your .env file.');
+      // Validate configuration (only hosted providers need an API key)
+      if (!this.config.offline && providerRequiresApiKey(this.config.llmProvider) && !this.config.openaiApiKey) {
+        throw new Error('OPENAI_API_KEY is required. Please set it in your .env file (or use LLM_PROVIDER=openai-compatible / mock, or --offline).');
       }
 
-      // Initialize data loader (now uses JSON)
-      console.log(chalk.yellow('📊 Setting up local data loader...'));
-      this.dataLoader = new PropertyDataLoader(this.config.maxProperties);
+      // Initialize data loader (JSON file or live API)
+      console.log(chalk.yellow(`📊 Setting up data loader (${this.config.dataSource})...`));
+      this.dataLoader = this.createDataLoader();
 
       // Initialize LLM service (configurable)
-      console.log(chalk.yellow(`🤖 Setting up AI service (${this.config.openaiModel})...`));
+      console.log(chalk.yellow(this.config.offline
+        ? '🤖 Setting up offline answer engine (no AI calls)...'
+        : `🤖 Setting up AI service (${this.config.llmProvider}: ${this.config.openaiModel})...`));
       this.llmService = new LLMService(this.config.openaiApiKey, {
+        provider: this.config.llmProvider,
+        baseURL: this.config.llmBaseUrl,
+        providerSupportsTools: this.config.llmSupportsTools,
         model: this.config.openaiModel,
         temperature: this.config.temperature,
         maxTokens: this.config.maxTokens,
+        contextWindow: this.config.contextWindow,
+        routing: this.config.modelRouting,
+        routes: this.config.routes,
         responseTimeout: this.config.responseTimeout,
-        cacheSystemPrompt: this.config.cacheSystemPrompt
+        maxRetries: this.config.maxRetries,
+        retryBaseDelay: this.config.retryBaseDelay,
+        retryMaxDelay: this.config.retryMaxDelay,
+        circuitThreshold: this.config.circuitThreshold,
+        circuitCooldown: this.config.circuitCooldown,
+        cacheSystemPrompt: this.config.cacheSystemPrompt,
+        prefilter: this.config.prefilter,
+        maxCandidates: this.config.maxCandidates,
+        retrievalTopK: this.config.retrievalTopK,
+        enableTools: this.config.enableTools,
+        maxToolRounds: this.config.maxToolRounds,
+        historyTurns: this.config.historyTurns,
+        historyTokens: this.config.historyTokens,
+        stream: this.config.streamResponses,
+        offline: this.config.offline,
+        offlineFallback: this.config.offlineFallback,
+        verifyGrounding: this.config.verifyGrounding,
+        responseFormat: this.config.responseFormat,
+        answerCache: this.config.answerCache,
+        answerCacheTtl: this.config.answerCacheTtl,
+        answerCachePath: this.config.answerCachePath,
+        promptTemplate: this.config.promptTemplate,
+        promptDirectory: this.config.promptDirectory,
+        promptPersona: this.config.promptPersona,
+        answerLanguage: this.config.answerLanguage,
+        defaultLanguage: this.i18n.locale
       });
 
       // Validate AI connection
       const isConnected = await this.llmService.validateConnection();
       if (!isConnected) {
-        throw new Error('Failed to connect to OpenAI. Please check your API key.');
+        throw new Error(`Failed to connect to ${this.llmService.provider.label}. Please check your API key or base URL.`);
       }
 
-      // Load property data from JSON
-      console.log(chalk.yellow('🏠 Loading property data from JSON...'));
+      // Load property data from the configured source
+      console.log(chalk.yellow('🏠 Loading property data...'));
       const properties = await this.dataLoader.getProperties();
       
       if (!properties || properties.length === 0) {
-        throw new Error('No property data available. Please check the JSON file.');
+        throw new Error('No property data available. Please check the JSON file or API endpoint.');
       }
 
-      // Feed data to AI
+      // Feed data to AI, with full-text search for retrieval context
       this.llmService.setProperties(properties);
+      this.llmService.setRetriever((query, k) => this.dataLoader.search(query, k));
+      this.llmService.setTools(new PropertyTools(this.dataLoader));
+      this.llmService.setPropertyResolver(id => this.dataLoader.getRawProperty(id));
 
       this.isInitialized = true;
+
+      // Scrape endpoint for Prometheus (off unless METRICS_PORT is set)
+      if (this.config.metricsPort && !this.metricsServer) {
+        this.metricsServer = new MetricsServer(this.metrics, { port: this.config.metricsPort, host: this.config.metricsHost });
+        const address = await this.metricsServer.start();
+        if (address) {
+          console.log(chalk.cyan(`📈 Metrics available at ${address.url}`));
+        } else {
+          this.metricsServer = null;
+        }
+      }
       
       console.log(chalk.gray('━'.repeat(50)));
       console.log(chalk.green.bold('✅ Chatbot initialized successfully!'));
       
       const metadata = this.dataLoader.getMetadata();
-      console.log(chalk.cyan(`🏠 Loaded ${properties.length} properties from JSON`));
+      console.log(chalk.cyan(`🏠 Loaded ${properties.length} properties from ${this.config.dataSource === 'api' ? 'API' : 'JSON'}`));
       console.log(chalk.cyan(`🌍 Geographic coverage: ${[...new Set(properties.map(p => p.location.split(',')[1]?.trim()))].length} countries`));
       console.log(chalk.cyan(`📊 Price range: $${Math.min(...properties.map(p => p.price))}-$${Math.max(...properties.map(p => p.price))}/night`));
       
@@ -110,6 +257,7 @@ class RentalPropertyChatbot {
         console.log(chalk.gray('━'.repeat(50)));
         console.log(chalk.gray('👨‍💻 Built by: Ahmed Rizawan'));
         console.log(chalk.gray('📝 For: Lamco MVP Hiring Process'));
+        console.log(chalk.gray('🔌 AI Provider: ' + (this.config.offline ? 'offline (rule-based)' : this.config.llmProvider)));
         console.log(chalk.gray('🤖 AI Model: ' + this.config.openaiModel));
         console.log(chalk.gray('📊 Properties: ' + this.config.maxProperties));
         console.log(chalk.gray('💰 Cost Tracking: ' + (this.config.enableCostTracking ? 'Enabled' : 'Disabled')));
@@ -124,7 +272,7 @@ class RentalPropertyChatbot {
       console.log(chalk.gray('   1. Make sure you have copied .env.example to .env'));
       console.log(chalk.gray('   2. Add your OpenAI API key to the .env file'));
       console.log(chalk.gray('   3. Ensure data/properties.json exists and is valid'));
-      console.log(chalk.gray('   4. Check your internet connection for OpenAI API'));
+      console.log(chalk.gray('   4. Check your internet connection for OpenAI API (or LLM_BASE_URL for local backends)'));
       
       return false;
     }
@@ -132,29 +280,63 @@ class RentalPropertyChatbot {
 
   /**
    * Process user question with animations and cost tracking
+   * Pass onToken to receive a streamed answer; the animation stops on the first chunk
    */
-  async askQuestion(question) {
+  async askQuestion(question, { onToken = null } = {}) {
     if (!this.isInitialized) {
       throw new Error('Chatbot not initialized. Please call initialize() first.');
     }
 
     const startTime = Date.now();
     this.questionCount++;
+    this.isProcessing = true;
 
     try {
+      // Spending limits: warn, downgrade, go offline or refuse before the model is called
+      const budget = this.applyBudget(question);
+      if (budget.refused) {
+        const refusal = {
+          question: question,
+          answer: budget.message,
+          refused: true,
+          budget: budget.decision,
+          responseTime: Date.now() - startTime,
+          questionNumber: this.questionCount
+        };
+        this.recordMetrics(refusal);
+        return refusal;
+      }
+
       // Start thinking animation (if enabled)
       if (this.config.enableAnimations) {
         this.thinkingAnimation.start(this.config.animationStyle);
       }
       
-      // Get AI response
-      const response = await this.llmService.answerQuestion(question);
+      // Get AI response (streamed chunks stop the animation as soon as they arrive)
+      let firstChunk = true;
+      const response = await this.llmService.answerQuestion(question, {
+        ...budget.answerOptions,
+        onToken: onToken ? token => {
+          if (firstChunk) {
+            firstChunk = false;
+            if (this.config.enableAnimations) {
+              this.thinkingAnimation.stop();
+            }
+          }
+          onToken(token);
+        } : null
+      });
       const responseTime = Date.now() - startTime;
       
       // Stop animation
       if (this.config.enableAnimations) {
         this.thinkingAnimation.stop();
       }
+
+      // Finish the streamed (or cut-off) line before printing metrics
+      if (response.streamed || response.partial) {
+        process.stdout.write('\n');
+      }
       
       // Track costs (if enabled)
       let cost = null;
@@ -167,12 +349,15 @@ class RentalPropertyChatbot {
         }
       }
 
-      return {
+      const result = {
         ...response,
         responseTime: responseTime,
         questionNumber: this.questionCount,
-        cost: cost
+        cost: cost,
+        budget: budget.decision || null
       };
+      this.recordMetrics(result);
+      return result;
 
     } catch (error) {
       // Stop animation on error (if enabled)
@@ -182,46 +367,257 @@ class RentalPropertyChatbot {
       
       console.error(chalk.red('❌ Error processing question:'), error.message);
       
-      return {
+      const failure = {
         question: question,
         answer: "I apologize, but I encountered an error while processing your question. Please try rephrasing your question or ask about specific properties, locations, or facilities.",
         error: error.message,
+        errorClass: error.errorClass || 'internal',
         responseTime: Date.now() - startTime,
         questionNumber: this.questionCount
       };
+      this.recordMetrics(failure);
+      return failure;
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Count a finished question in the metrics: its outcome, error class and response time
+   */
+  recordMetrics(response) {
+    const outcome = response.refused ? 'refused'
+      : response.errorClass ? (response.fallback ? 'fallback' : 'error')
+      : response.cached ? 'cached'
+      : response.offline ? 'offline'
+      : 'answered';
+
+    this.metrics.inc('questions', { outcome });
+    if (response.errorClass) {
+      this.metrics.inc('errors', { class: response.errorClass });
+    }
+    this.metrics.observe('response_time_seconds', { outcome }, response.responseTime / 1000);
+  }
+
+  /**
+   * Pre-flight spending check: estimate the next query's cost and apply BUDGET_ACTION
+   * Returns { answerOptions, decision } for answerQuestion, or { refused, message, decision }
+   * when the question must not reach the model
+   */
+  applyBudget(question) {
+    if (!this.config.enableCostTracking || !this.costTracker.budget.isEnabled()) {
+      return { answerOptions: {} };
+    }
+
+    const decision = this.costTracker.checkBudget(this.llmService.estimateQuestion(question));
+    if (decision.status === 'ok') {
+      return { answerOptions: {}, decision };
+    }
+
+    const format = amount => this.costTracker.formatAmount(amount);
+    const values = {
+      period: this.i18n.t(`budget.periods.${decision.period}`),
+      spent: format(decision.spent),
+      limit: format(decision.limit),
+      estimate: format(decision.estimatedCost)
+    };
+
+    if (decision.status === 'warn' || decision.action === 'warn') {
+      console.log(chalk.yellow(`💸 ${this.i18n.t(decision.status === 'warn' ? 'budget.warning' : 'budget.exceeded', values)}`));
+      return { answerOptions: {}, decision };
+    }
+
+    // Downgrade only when the cheaper model keeps the query within budget, else answer offline
+    if (decision.action === 'downgrade') {
+      const model = this.costTracker.budget.options.downgradeModel;
+      const cheaper = model ? this.costTracker.checkBudget(this.llmService.estimateQuestion(question, { model })) : null;
+      if (cheaper && cheaper.status !== 'over') {
+        console.log(chalk.yellow(`💸 ${this.i18n.t('budget.downgraded', { ...values, model })}`));
+        return { answerOptions: { model }, decision: { ...decision, model } };
+      }
+    }
+
+    if (decision.action === 'downgrade' || decision.action === 'offline') {
+      console.log(chalk.yellow(`💸 ${this.i18n.t('budget.offline', values)}`));
+      return { answerOptions: { offline: true }, decision: { ...decision, offline: true } };
+    }
+
+    console.log(chalk.red(`🛑 ${this.i18n.t('budget.exceeded', values)}`));
+    return { refused: true, message: this.i18n.t('budget.refused', values), decision };
+  }
+
+  /**
+   * Build a data loader for the configured catalog source
+   */
+  createDataLoader() {
+    return new PropertyDataLoader(this.config.maxProperties, {
+      dataSource: this.config.dataSource,
+      dataPath: this.config.jsonDataPath,
+      catalogFormat: this.config.catalogFormat,
+      csvColumnMap: this.config.csvColumnMap,
+      csvDelimiter: this.config.csvDelimiter,
+      quarantineReportPath: this.config.quarantineReportPath,
+      apiEndpoint: this.config.apiEndpoint,
+      apiCachePath: this.config.apiCachePath,
+      apiTimeout: this.config.apiTimeout
+    });
+  }
+
+  /**
+   * Watch the catalog source and reload it when it changes
+   */
+  startCatalogWatcher() {
+    if (!this.config.hotReload || this.catalogWatcher) return;
+
+    this.catalogWatcher = new CatalogWatcher(this.dataLoader, () => this.handleCatalogChange(), {
+      pollInterval: this.config.apiRefreshInterval
+    });
+    this.catalogWatcher.start();
+  }
+
+  /**
+   * React to a catalog change, deferring it while a question is in flight
+   */
+  async handleCatalogChange() {
+    if (this.isProcessing) {
+      this.pendingReload = true;
+      return;
+    }
+
+    await this.reloadCatalog();
+    this.rl?.prompt(true);
+  }
+
+  /**
+   * Reload the catalog and push the new property set into the AI context
+   */
+  async reloadCatalog() {
+    this.pendingReload = false;
+
+    const previous = this.dataLoader.properties;
+    console.log(chalk.blue(`\n🔄 ${this.i18n.t('catalog.reloading')}`));
+
+    // Load into a staging loader so a bad catalog never touches the live index
+    const staged = this.createDataLoader();
+    let properties;
+    try {
+      properties = await staged.getProperties(true);
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️ ${this.i18n.t('catalog.reloadFailed', { count: previous.length, error: error.message })}`));
+      return null;
+    }
+
+    if (properties.length === 0) {
+      console.log(chalk.yellow(`⚠️ ${this.i18n.t('catalog.empty')}`));
+      return null;
+    }
+
+    this.dataLoader = staged;
+    this.llmService.setTools(new PropertyTools(staged));
+    if (this.catalogWatcher) this.catalogWatcher.dataLoader = staged;
+    this.llmService.setProperties(properties);
+
+    const diff = this.dataLoader.diffProperties(previous, properties);
+    this.displayCatalogDiff(diff);
+
+    return diff;
+  }
+
+  /**
+   * Print a short summary of catalog changes
+   */
+  displayCatalogDiff(diff) {
+    if (diff.added.length === 0 && diff.removed.length === 0 && diff.priceChanged.length === 0) {
+      console.log(chalk.gray(`🔄 ${this.i18n.t('catalog.unchanged')}`));
+      return;
+    }
+
+    console.log(chalk.cyan(`🔄 ${this.i18n.t('catalog.changed', { added: diff.added.length, removed: diff.removed.length, priceChanged: diff.priceChanged.length })}`));
+    diff.added.forEach(property => {
+      console.log(chalk.green(`   + ${property.summary}`));
+    });
+    diff.removed.forEach(property => {
+      console.log(chalk.red(`   - ${property.summary}`));
+    });
+    diff.priceChanged.forEach(({ property, oldPrice, newPrice }) => {
+      console.log(chalk.yellow(`   ~ ${this.i18n.t('catalog.priceChange', { title: property.title, oldPrice, newPrice })}`));
+    });
+  }
+
+  /**
+   * Warn when an answer quotes listings or details the catalog doesn't contain
+   */
+  displayGroundingWarnings(grounding) {
+    if (!grounding || grounding.grounded) return;
+
+    const issues = this.llmService.groundingVerifier.describeIssues(grounding);
+    console.log(chalk.red.bold(`\n⚠️ ${this.i18n.t('grounding.title')}`));
+    issues.forEach(issue => {
+      console.log(chalk.red(`   • ${issue}`));
+    });
+    console.log(chalk.gray(`   ${this.i18n.t('grounding.hint')}`));
+  }
+
+  /**
+   * Show the property ids a JSON-mode answer cited
+   */
+  displayStructuredSummary(structured) {
+    if (!structured) return;
+
+    const ids = structured.recommendations.map(recommendation => recommendation.id);
+    console.log(chalk.gray(`\n🧾 ${this.i18n.t('structured.cited', { ids: ids.length > 0 ? ids.join(', ') : this.i18n.t('structured.none') })}`));
+    if (!structured.valid) {
+      console.log(chalk.yellow(`⚠️ ${this.i18n.t('structured.invalid', { attempts: structured.attempts })}`));
     }
   }
 
+  /**
+   * Suggested questions in the CLI locale
+   */
+  getSuggestedQuestions() {
+    const templates = this.i18n.resolve('suggestions');
+    return this.llmService.getSuggestedQuestions(Array.isArray(templates) ? templates : null);
+  }
+
+  /**
+   * Whether input is one of a command's words in English or the CLI locale
+   */
+  isCommand(input, command) {
+    return this.i18n.commandWords(command).includes(input.toLowerCase());
+  }
+
   /**
    * Display welcome message and instructions
    */
   displayWelcome() {
     const welcomeType = this.config.welcomeMessage;
+    const t = (key, variables) => this.i18n.t(key, variables);
     
     if (welcomeType === 'custom') {
-      console.log(chalk.blue.bold('\n🏠 Welcome to Your Personal Property Assistant!'));
+      console.log(chalk.blue.bold(`\n🏠 ${t('welcome.custom.title')}`));
       console.log(chalk.gray('━'.repeat(55)));
-      console.log(chalk.white('Hi there! I\'m here to help you discover amazing rental properties '));
-      console.log(chalk.white('from our carefully curated collection of 18 global destinations.'));
-      console.log(chalk.cyan('✨ What makes me special:'));
-      console.log(chalk.gray('   • Lightning-fast AI responses (< 1.5s typical)'));
-      console.log(chalk.gray('   • Real-time cost tracking (transparent pricing)'));
-      console.log(chalk.gray('   • Smart recommendations based on your preferences'));
-      console.log(chalk.gray('   • Coverage across 12 countries worldwide\n'));
-      console.log(chalk.yellow('💡 Pro tip: Be specific about what you\'re looking for!'));
-      console.log(chalk.white('   The more details you provide, the better I can help.\n'));
+      this.i18n.lines('welcome.custom.intro').forEach(line => {
+        console.log(chalk.white(line));
+      });
+      console.log(chalk.cyan(`✨ ${t('welcome.custom.featuresTitle')}`));
+      this.i18n.lines('welcome.custom.features').forEach((feature, index, features) => {
+        console.log(chalk.gray(`   • ${feature}${index === features.length - 1 ? '\n' : ''}`));
+      });
+      console.log(chalk.yellow(`💡 ${t('welcome.custom.tip')}`));
+      console.log(chalk.white(`   ${t('welcome.custom.tipDetail')}\n`));
     } else {
-      console.log(chalk.blue.bold('\n🏠 Welcome to the Rental Property Chatbot!'));
+      console.log(chalk.blue.bold(`\n🏠 ${t('welcome.default.title')}`));
       console.log(chalk.gray('━'.repeat(50)));
-      console.log(chalk.white('I can help you find the perfect rental property from our curated selection.'));
-      console.log(chalk.white('Ask me about locations, prices, facilities, or specific preferences!'));
-      console.log(chalk.cyan('✨ Features: Fast responses, cost tracking, 18 global properties\n'));
+      this.i18n.lines('welcome.default.intro').forEach(line => {
+        console.log(chalk.white(line));
+      });
+      console.log(chalk.cyan(`✨ ${t('welcome.default.features')}\n`));
     }
     
     // Display suggested questions
-    const suggestions = this.llmService.getSuggestedQuestions();
+    const suggestions = this.getSuggestedQuestions();
     if (suggestions.length > 0) {
-      console.log(chalk.cyan('💡 Try asking questions like:'));
+      console.log(chalk.cyan(`💡 ${t('welcome.suggestions')}`));
       suggestions.slice(0, 5).forEach((question, index) => {
         console.log(chalk.gray(`   ${index + 1}. ${question}`));
       });
@@ -231,12 +627,18 @@ class RentalPropertyChatbot {
     // Display stats
     const stats = this.dataLoader.getStats();
     if (stats) {
-      console.log(chalk.yellow(`📊 Available Properties: ${stats.totalProperties} | Price Range: $${stats.priceRange.min}-$${stats.priceRange.max}/night | Countries: ${stats.countries}`));
-      console.log(chalk.gray(`📂 Data Source: ${stats.dataSource}`));
+      console.log(chalk.yellow(`📊 ${t('welcome.stats', { total: stats.totalProperties, min: stats.priceRange.min, max: stats.priceRange.max, countries: stats.countries })}`));
+      console.log(chalk.gray(`📂 ${t('welcome.dataSource', { source: stats.dataSource })}`));
+    }
+
+    if (this.config.offline) {
+      console.log(chalk.yellow(`📴 ${t('welcome.offline')}`));
+    } else if (this.config.answerLanguage === 'auto') {
+      console.log(chalk.cyan(`🌐 ${t('welcome.languages')}`));
     }
     
     console.log(chalk.gray('━'.repeat(50)));
-    console.log(chalk.green('Type your question and press Enter. Type "exit" to quit.\n'));
+    console.log(chalk.green(`${t('welcome.instructions')}\n`));
   }
 
   /**
@@ -244,55 +646,42 @@ class RentalPropertyChatbot {
    */
   async startInteractiveSession() {
     if (!this.isInitialized) {
-      console.error(chalk.red('❌ Chatbot not initialized. Please run initialize() first.'));
+      console.error(chalk.red(`❌ ${this.i18n.t('session.notInitialized')}`));
       return;
     }
 
+    const t = (key, variables) => this.i18n.t(key, variables);
+
     this.displayWelcome();
 
     const rl = readline.createInterface({
       input: process.stdin,
       output: process.stdout,
-      prompt: chalk.blue('🤔 Ask me anything: ')
+      prompt: chalk.blue(`🤔 ${t('session.prompt')}`)
     });
+    this.rl = rl;
+    this.startCatalogWatcher();
 
     rl.prompt();
 
     rl.on('line', async (input) => {
       const question = input.trim();
 
-      // Handle exit commands
-      if (['exit', 'quit', 'bye', 'goodbye'].includes(question.toLowerCase())) {
-        console.log(chalk.green('\n👋 Thank you for using the Rental Property Chatbot!'));
-        console.log(chalk.white('It was a pleasure helping you explore rental properties.'));
-        console.log(chalk.cyan(`📊 Session Stats: ${this.questionCount} questions answered`));
-        
-        if (this.questionCount > 0) {
-          console.log(chalk.yellow('🌟 Hope you found some amazing properties for your next adventure!'));
-        }
-        
-        // Display cost summary (if cost tracking enabled)
-        if (this.config.enableCostTracking && this.questionCount > 0) {
-          this.costTracker.displaySessionSummary();
-        }
-        
-        rl.close();
-        return;
-      }
-
       // Handle empty input
       if (!question) {
         rl.prompt();
         return;
       }
 
-      // Handle help commands
-      if (['help', '?'].includes(question.toLowerCase())) {
-        const suggestions = this.llmService.getSuggestedQuestions();
-        console.log(chalk.cyan('\n💡 Here are some things you can ask:'));
-        suggestions.slice(0, 8).forEach((q, i) => {
-          console.log(chalk.gray(`   • ${q}`));
-        });
+      // Plain command words ("exit", "reset", "help" and their translations) run the slash command
+      const word = ['exit', 'reset', 'help'].find(command => this.isCommand(question, command));
+      const line = word ? `/${word}` : question;
+
+      // Slash commands run locally and never reach the AI
+      if (this.commands.isCommand(line)) {
+        await this.commands.run(line);
+        if (!this.rl) return; // /exit closed the session
+
         console.log('');
         rl.prompt();
         return;
@@ -300,14 +689,48 @@ class RentalPropertyChatbot {
 
       // Process the question (animation will show automatically)
       try {
-        const response = await this.askQuestion(question);
-        
-        console.log(chalk.green('\n📝 Answer:'));
-        console.log(chalk.white(response.answer));
+        const streamOptions = this.config.streamResponses ? {
+          onToken: (() => {
+            let started = false;
+            return token => {
+              if (!started) {
+                started = true;
+                console.log(chalk.green(`\n📝 ${t('session.answer')}`));
+              }
+              process.stdout.write(chalk.white(token));
+            };
+          })()
+        } : {};
+
+        const response = await this.askQuestion(question, streamOptions);
+
+        // A stream cut off midway stays on screen, so flag it before any fallback answer
+        if (response.partial) {
+          console.log(chalk.yellow(`\n⚠️ ${t('session.interrupted')}`));
+        }
+
+        if (!response.streamed) {
+          console.log(chalk.green(`\n📝 ${t('session.answer')}`));
+          console.log(chalk.white(response.answer));
+        }
+
+        this.displayGroundingWarnings(response.grounding);
+        this.displayStructuredSummary(response.structured);
+
+        if (response.degraded) {
+          console.log(chalk.gray(`\n${t('session.degraded')}`));
+        } else if (response.fallback) {
+          console.log(chalk.gray(`\n${t('session.fallback', { errorClass: response.errorClass ? ` [${response.errorClass}]` : '' })}`));
+        }
         
       } catch (error) {
-        console.log(chalk.red('\n❌ Sorry, I encountered an error processing your question.'));
-        console.log(chalk.gray('Please try rephrasing your question or ask for help.'));
+        console.log(chalk.red(`\n❌ ${t('session.error')}`));
+        console.log(chalk.gray(t('session.errorHint')));
+      }
+
+      // Apply a catalog change that arrived while the question was in flight
+      if (this.pendingReload) {
+        await this.reloadCatalog();
       }
 
       console.log('');
@@ -315,9 +738,10 @@ class RentalPropertyChatbot {
     });
 
     rl.on('close', () => {
-      console.log(chalk.blue('\n🏠 Goodbye! Happy property hunting!'));
-      console.log(chalk.gray('Built with ❤️ for the Lamco MVP hiring process'));
-      console.log(chalk.gray('Created by Ahmed Maher Algohary - Full Stack Developer'));
+      console.log(chalk.blue(`\n🏠 ${t('session.goodbye')}`));
+      this.i18n.lines('session.credits').forEach(line => {
+        console.log(chalk.gray(line));
+      });
       
       // Show final cost summary if there were any queries and cost tracking enabled
       if (this.config.enableCostTracking && this.questionCount > 0) {
@@ -328,6 +752,32 @@ class RentalPropertyChatbot {
     });
   }
 
+  /**
+   * Say goodbye with the session stats and cost summary, then close the CLI
+   */
+  endSession() {
+    const t = (key, variables) => this.i18n.t(key, variables);
+
+    console.log(chalk.green(`\n👋 ${t('session.exit.thanks')}`));
+    console.log(chalk.white(t('session.exit.pleasure')));
+    console.log(chalk.cyan(`📊 ${t('session.exit.stats', { count: this.questionCount })}`));
+    
+    if (this.questionCount > 0) {
+      console.log(chalk.yellow(`🌟 ${t('session.exit.hope')}`));
+    }
+    
+    // Display cost summary (if cost tracking enabled)
+    if (this.config.enableCostTracking && this.questionCount > 0) {
+      this.costTracker.displaySessionSummary();
+    }
+    
+    this.catalogWatcher?.stop();
+    const rl = this.rl;
+    this.rl = null;
+    rl?.close();
+    return true;
+  }
+
   /**
    * Get chatbot statistics and health info
    */
@@ -338,10 +788,13 @@ class RentalPropertyChatbot {
       dataLoader: this.dataLoader?.getStats(),
       llmService: this.llmService?.getStats(),
       config: {
+        provider: this.config.offline ? 'offline' : this.config.llmProvider,
         maxProperties: this.config.maxProperties,
         temperature: this.config.temperature,
         maxTokens: this.config.maxTokens,
-        dataSource: this.config.dataSource
+        dataSource: this.config.dataSource,
+        locale: this.i18n.locale,
+        metrics: this.metricsServer ? this.metricsServer.address().url : null
       },
       timestamp: new Date().toISOString()
     };
@@ -0,0 +1,64 @@
+/**
+ * Circuit breaker for the LLM provider
+ * After repeated failures the circuit opens and the chatbot runs in degraded mode
+ * (catalog-only answers) until a trial request succeeds after the cooldown
+ */
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.options = {
+      failureThreshold: options.failureThreshold || 3,
+      cooldown: options.cooldown || 60000
+    };
+
+    this.state = 'closed'; // closed | open | half-open
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Whether a request may be sent; an open circuit lets one trial through after the cooldown
+   */
+  canRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.options.cooldown) {
+      this.state = 'half-open';
+    }
+    return this.state !== 'open';
+  }
+
+  /**
+   * A request succeeded: close the circuit
+   */
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * A request failed: open the circuit at the threshold, or again after a failed trial
+   * Returns true when this failure opened the circuit
+   */
+  recordFailure() {
+    this.failures++;
+
+    if (this.state === 'half-open' || (this.state === 'closed' && this.failures >= this.options.failureThreshold)) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Current state for stats and responses
+   */
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      retryInMs: this.state === 'open' ? Math.max(0, this.options.cooldown - (Date.now() - this.openedAt)) : 0
+    };
+  }
+}
+
+export default CircuitBreaker;
@@ -0,0 +1,161 @@
+/**
+ * Slash commands for the interactive CLI ("/show 3", "/filter price<80 country=France")
+ * Each command declares its arguments, so parsing, usage lines, help and input errors
+ * are handled here; messages come from the locale bundle (slash.*)
+ */
+class CommandRegistry {
+  constructor(options = {}) {
+    this.i18n = options.i18n;
+    this.commands = new Map();
+    this.aliases = new Map();
+  }
+
+  /**
+   * Add a command: { name, aliases, args: [{ name, required, rest, choices }], description, examples, run(args) }
+   * description is a locale key; a `rest` argument takes every remaining word
+   */
+  register(command) {
+    const definition = { aliases: [], args: [], examples: [], ...command };
+    this.commands.set(definition.name, definition);
+    definition.aliases.forEach(alias => this.aliases.set(alias, definition.name));
+    return this;
+  }
+
+  /**
+   * Whether a line is a slash command
+   */
+  isCommand(input) {
+    return /^\/[a-z?]/i.test((input || '').trim());
+  }
+
+  /**
+   * Split arguments on whitespace, keeping quoted parts together (country="United Kingdom")
+   */
+  tokenize(text) {
+    return (text.match(/(?:[^\s"']+|"[^"]*"|'[^']*')+/g) || []).map(token => token.replace(/["']/g, ''));
+  }
+
+  /**
+   * Look up a command by name or alias
+   */
+  find(name) {
+    const key = (name || '').toLowerCase();
+    return this.commands.get(key) || this.commands.get(this.aliases.get(key)) || null;
+  }
+
+  /**
+   * Closest command name for a typo ("/flter" → "filter"), or null
+   */
+  suggest(name) {
+    const distance = (a, b) => {
+      const row = Array.from({ length: b.length + 1 }, (_, index) => index);
+      for (let i = 1; i <= a.length; i++) {
+        let previous = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+          const current = row[j];
+          row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+          previous = current;
+        }
+      }
+      return row[b.length];
+    };
+
+    const [best] = [...this.commands.keys()]
+      .map(candidate => ({ candidate, score: candidate.startsWith(name) ? 0 : distance(name, candidate) }))
+      .filter(({ score }) => score <= 2)
+      .sort((a, b) => a.score - b.score);
+    return best ? best.candidate : null;
+  }
+
+  /**
+   * Usage line, e.g. "/sort <field> [asc|desc]"
+   */
+  usage(command) {
+    const args = command.args.map(arg => {
+      const label = arg.choices ? arg.choices.join('|') : arg.name;
+      const text = arg.rest ? `${label}...` : label;
+      return arg.required ? `<${text}>` : `[${text}]`;
+    });
+    return [`/${command.name}`, ...args].join(' ');
+  }
+
+  /**
+   * Error for bad input; usage is shown with it when a command is given
+   */
+  error(key, variables = {}, command = null) {
+    const error = new Error(this.i18n.t(key, variables));
+    error.errorClass = 'command';
+    error.command = command;
+    return error;
+  }
+
+  /**
+   * Parse a line into { command, args } where args is keyed by argument name
+   * Throws for unknown commands, missing or extra arguments and values outside `choices`
+   */
+  parse(input) {
+    const [word, ...tokens] = this.tokenize(input.trim().slice(1));
+    const command = this.find(word);
+    if (!command) {
+      const suggestion = this.suggest((word || '').toLowerCase());
+      throw this.error(suggestion ? 'slash.errors.unknownSuggest' : 'slash.errors.unknown', { name: word || '', suggestion });
+    }
+
+    const args = {};
+    for (const [index, arg] of command.args.entries()) {
+      const value = arg.rest ? tokens.slice(index) : tokens[index];
+      const missing = arg.rest ? value.length === 0 : value === undefined;
+
+      if (missing) {
+        if (arg.required) throw this.error('slash.errors.missing', { arg: arg.name }, command);
+        continue;
+      }
+      if (arg.choices && !arg.choices.includes(value.toLowerCase())) {
+        throw this.error('slash.errors.choice', { arg: arg.name, value, choices: arg.choices.join(', ') }, command);
+      }
+      args[arg.name] = arg.choices ? value.toLowerCase() : value;
+    }
+
+    if (!command.args.some(arg => arg.rest) && tokens.length > command.args.length) {
+      throw this.error('slash.errors.tooMany', { extra: tokens.slice(command.args.length).join(' ') }, command);
+    }
+
+    return { command, args };
+  }
+
+  /**
+   * Parse and run a line; resolves with the command's result
+   */
+  async execute(input) {
+    const { command, args } = this.parse(input);
+    try {
+      return await command.run(args);
+    } catch (error) {
+      if (error.errorClass === 'command' && !error.command) error.command = command;
+      throw error;
+    }
+  }
+
+  /**
+   * Help lines: every command with its usage, or one command's description and examples
+   */
+  help(name = null) {
+    if (name) {
+      const command = this.find(name.replace(/^\//, ''));
+      if (!command) throw this.error('slash.errors.unknown', { name });
+
+      return [
+        this.usage(command),
+        `   ${this.i18n.t(command.description)}`,
+        ...(command.aliases.length > 0 ? [`   ${this.i18n.t('slash.help.aliases', { aliases: command.aliases.map(alias => `/${alias}`).join(', ') })}`] : []),
+        ...(command.examples.length > 0 ? [`   ${this.i18n.t('slash.help.examples')}`, ...command.examples.map(example => `     ${example}`)] : [])
+      ];
+    }
+
+    const width = Math.max(...[...this.commands.values()].map(command => this.usage(command).length));
+    return [...this.commands.values()].map(command => `${this.usage(command).padEnd(width)}  ${this.i18n.t(command.description)}`);
+  }
+}
+
+export default CommandRegistry;
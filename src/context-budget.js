@@ -0,0 +1,82 @@
+import TokenCounter from './token-counter.js';
+
+/**
+ * Keeps each request inside the model's context window, leaving maxTokens for the answer
+ * When the prompt is too large it is shrunk in stages: property details are summarized,
+ * then older conversation turns are dropped, then the lowest-ranked properties
+ */
+class ContextBudget {
+  constructor(options = {}) {
+    this.tokenCounter = options.tokenCounter || new TokenCounter();
+    this.options = {
+      contextWindow: options.contextWindow || TokenCounter.DEFAULT_CONTEXT_WINDOW,
+      reserve: options.reserve ?? 400 // Output headroom (the request's max_tokens)
+    };
+  }
+
+  /**
+   * Fit a request into the budget
+   * build({ properties, compact, historyMessages }) returns the messages for that context;
+   * properties must be ranked best first. extraTokens covers tool definitions; model picks
+   * the tokenizer and contextWindow overrides the default window (e.g. for a routed model)
+   * Returns { messages, properties, report } or throws a context_overflow error
+   */
+  fit({ properties, historyMessages = [], build, extraTokens = 0, model, contextWindow = this.options.contextWindow }) {
+    const available = contextWindow - this.options.reserve;
+    const measure = context => {
+      const messages = build(context);
+      return { messages, context, tokens: this.tokenCounter.countMessages(messages, model) + extraTokens };
+    };
+    const fits = attempt => attempt.tokens <= available;
+    const result = (attempt, droppedHistoryTurns = 0) => ({
+      messages: attempt.messages,
+      properties: attempt.context.properties,
+      report: {
+        contextWindow,
+        reserved: this.options.reserve,
+        promptTokens: attempt.tokens,
+        trimmed: attempt.context.compact || droppedHistoryTurns > 0 || attempt.context.properties.length < properties.length,
+        compact: attempt.context.compact,
+        droppedHistoryTurns,
+        droppedProperties: properties.length - attempt.context.properties.length
+      }
+    });
+
+    const full = measure({ properties, compact: false, historyMessages });
+    if (fits(full)) return result(full);
+
+    // 1. Summarize property details
+    const compact = measure({ properties, compact: true, historyMessages });
+    if (fits(compact)) return result(compact);
+
+    // 2. Drop conversation turns, oldest first (a turn is a question and an answer)
+    for (let dropped = 1; dropped * 2 <= historyMessages.length; dropped++) {
+      const attempt = measure({ properties, compact: true, historyMessages: historyMessages.slice(dropped * 2) });
+      if (fits(attempt)) return result(attempt, dropped);
+    }
+
+    // 3. Keep as many of the best-ranked properties as fit (binary search on the count)
+    const turns = historyMessages.length / 2;
+    let low = 1;
+    let high = properties.length - 1;
+    let best = null;
+    while (low <= high) {
+      const count = Math.floor((low + high) / 2);
+      const attempt = measure({ properties: properties.slice(0, count), compact: true, historyMessages: [] });
+      if (fits(attempt)) {
+        best = attempt;
+        low = count + 1;
+      } else {
+        high = count - 1;
+      }
+    }
+    if (best) return result(best, turns);
+
+    const error = new Error(`Prompt needs an estimated ${compact.tokens} tokens but only ${available} fit in the ${contextWindow}-token context window`);
+    error.errorClass = 'context_overflow';
+    error.retryable = false;
+    throw error;
+  }
+}
+
+export default ContextBudget;
@@ -1,42 +1,93 @@
+import { randomUUID } from 'crypto';
 import chalk from 'chalk';
+import TokenCounter from './token-counter.js';
+import PricingTable from './pricing-table.js';
+import SpendingBudget from './spending-budget.js';
+import UsageLedger from './usage-ledger.js';
 
 /**
  * Cost tracking utility for OpenAI API usage
  * Tracks tokens and calculates costs per query and total session
+ * Prices come from the per-model pricing table (config/pricing.json)
+ * Optional session, daily and monthly budgets are checked before each query
+ * With a ledger path, every tracked query is also appended to the usage ledger
+ * With a MetricsRegistry, tokens, cost and cache hits are exported as counters
  */
 class CostTracker {
-  constructor() {
+  constructor(options = {}) {
+    this.pricingTable = options.pricingTable || new PricingTable({ path: options.pricingPath });
+    this.budget = new SpendingBudget(options.budget || {});
+    this.ledger = options.ledgerPath ? new UsageLedger({ path: options.ledgerPath }) : null;
+    this.sessionId = randomUUID().slice(0, 8);
+    this.metrics = options.metrics || null;
+    if (this.metrics) {
+      this.defineMetrics();
+    }
     this.sessions = [];
     this.totalCost = 0;
+    this.costs = {}; // currency → spend; models can be priced in different currencies
+    this.cacheHits = 0;
+    this.cachedTokens = 0;
+    this.savedCost = 0;
+    this.savedCosts = {}; // currency → saved by answer cache hits and cached prompt tokens
+    this.routes = {}; // "route → target" → { queries, costs: { currency → spend } }
+    this.models = {}; // model → { queries, inputTokens, outputTokens, cost, currency, rate }
+    this.tokenCounter = new TokenCounter();
     this.totalTokens = {
       input: 0,
       output: 0,
-      total: 0
-    };
-    
-    // OpenAI pricing (as of 2024) - GPT-3.5-turbo
-    this.pricing = {
-      input: 0.0015 / 1000,   // $0.0015 per 1K input tokens
-      output: 0.002 / 1000    // $0.002 per 1K output tokens
+      total: 0,
+      estimated: 0 // Counted locally because the provider sent no usage data
     };
   }
 
   /**
-   * Calculate cost for a query based on token usage
+   * Register the counters this tracker updates
+   */
+  defineMetrics() {
+    this.metrics
+      .define('prompt_tokens', { help: 'Prompt tokens sent to the model' })
+      .define('completion_tokens', { help: 'Completion tokens received from the model' })
+      .define('cost', { help: 'Spend in the pricing currency' })
+      .define('cache_hits', { help: 'Questions answered from the answer cache' });
+    this.metrics.series('cache_hits', {}); // Exported as 0 before the first hit
+  }
+
+  /**
+   * Format an amount in the pricing table's currency
+   */
+  formatAmount(amount, currency = this.pricingTable.table.currency) {
+    return currency === 'USD' ? `$${amount.toFixed(6)}` : `${amount.toFixed(6)} ${currency}`;
+  }
+
+  /**
+   * Format per-currency totals, e.g. "$0.012000 + 0.500000 EUR"
    */
-  calculateQueryCost(inputTokens, outputTokens) {
-    const inputCost = inputTokens * this.pricing.input;
-    const outputCost = outputTokens * this.pricing.output;
-    const totalCost = inputCost + outputCost;
+  formatTotals(totals) {
+    const entries = Object.entries(totals);
+    return entries.length > 0
+      ? entries.map(([currency, amount]) => this.formatAmount(amount, currency)).join(' + ')
+      : this.formatAmount(0);
+  }
+
+  /**
+   * Calculate cost for a query based on token usage and the model's rates
+   * Cached prompt tokens are billed at the cached-input rate when the model has one
+   */
+  calculateQueryCost(inputTokens, outputTokens, model = null, cachedTokens = 0) {
+    const { rate, inputCost, outputCost, totalCost } = this.pricingTable.cost(model, { inputTokens, outputTokens, cachedTokens });
     
     return {
       inputTokens,
       outputTokens,
       totalTokens: inputTokens + outputTokens,
+      cachedTokens,
       inputCost,
       outputCost,
       totalCost,
-      formattedCost: `$${totalCost.toFixed(6)}`
+      model: rate.model,
+      currency: rate.currency,
+      formattedCost: this.formatAmount(totalCost, rate.currency)
     };
   }
 
@@ -45,14 +96,18 @@ class CostTracker {
    */
   trackQuery(question, response, responseTime) {
     const usage = response.usage || {};
+    const model = response.model || null;
     let inputTokens = usage.prompt_tokens || 0;
     let outputTokens = usage.completion_tokens || 0;
+    const cachedTokens = usage.prompt_tokens_details?.cached_tokens || 0;
+    let estimated = !!usage.estimated;
     
-    // Fallback: Estimate tokens if not provided by OpenAI
-    if (inputTokens === 0 && outputTokens === 0) {
-      // Rough estimation: ~4 characters per token
-      inputTokens = Math.ceil((question.length + 1000) / 4); // question + system prompt estimation
-      outputTokens = Math.ceil((response.answer?.length || 0) / 4);
+    // Fallback: Estimate tokens if not provided by OpenAI (offline and cached answers use none)
+    if (inputTokens === 0 && outputTokens === 0 && !response.offline && !response.cached) {
+      // Count locally: the budgeted prompt size when known, else just the question
+      inputTokens = response.context?.promptTokens || this.tokenCounter.count(question, model);
+      outputTokens = this.tokenCounter.count(response.answer || '', model);
+      estimated = true;
       console.log(chalk.yellow('⚠️ Using estimated token counts (OpenAI usage data missing)'));
     }
     
@@ -62,9 +117,61 @@ class CostTracker {
       console.log(chalk.gray(`🔍 Cost tracking - Input: ${inputTokens}, Output: ${outputTokens}, Usage available: ${!!usage.prompt_tokens}`));
     }
     
-    const cost = this.calculateQueryCost(inputTokens, outputTokens);
+    // Local and mock providers have no per-token charge
+    const cost = response.billable === false
+      ? { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens, cachedTokens: 0, inputCost: 0, outputCost: 0, totalCost: 0, model, currency: this.pricingTable.table.currency, formattedCost: this.formatAmount(0) }
+      : this.calculateQueryCost(inputTokens, outputTokens, model, cachedTokens);
+    const addTo = (totals, amount) => { totals[cost.currency] = (totals[cost.currency] || 0) + amount; };
+    if (cost.cachedTokens > 0) {
+      // Cached prompt tokens are billed at a discount: count the difference as saved
+      cost.cachedSavings = this.calculateQueryCost(inputTokens, outputTokens, model).totalCost - cost.totalCost;
+      this.cachedTokens += cost.cachedTokens;
+      this.savedCost += cost.cachedSavings;
+      addTo(this.savedCosts, cost.cachedSavings);
+    }
+    if (estimated) {
+      cost.estimated = true; // No usage data from the provider, counted locally
+    }
+    if (response.offline) {
+      cost.offline = true; // Rule-based answer, no model call
+    }
+    if (response.route) {
+      cost.route = `${response.route.name} → ${response.offline ? 'offline' : response.route.target}`;
+      const route = this.routes[cost.route] ||= { queries: 0, costs: {} };
+      route.queries++;
+      addTo(route.costs, cost.totalCost);
+    }
+    if (response.cached) {
+      // Cache hit: free now, and the original request's cost was saved
+      const saved = response.savedUsage && response.billable !== false
+        ? this.calculateQueryCost(response.savedUsage.prompt_tokens || 0, response.savedUsage.completion_tokens || 0, model).totalCost
+        : 0;
+      cost.cached = true;
+      cost.savedCost = saved;
+      this.cacheHits++;
+      this.savedCost += saved;
+      addTo(this.savedCosts, saved);
+    }
+    
+    // Per-model breakdown for the session summary (cache hits cost nothing, so they are left out)
+    if (model && !response.cached) {
+      const entry = this.models[model] ||= { queries: 0, inputTokens: 0, outputTokens: 0, cost: 0, currency: cost.currency, rate: null };
+      entry.queries++;
+      entry.inputTokens += inputTokens;
+      entry.outputTokens += outputTokens;
+      entry.cost += cost.totalCost;
+      if (response.billable !== false) {
+        entry.rate = this.pricingTable.rateFor(model);
+      }
+    }
     
     const session = {
+      provider: response.provider || null,
+      model,
+      prompt: response.prompt ? `${response.prompt.name}@${response.prompt.version}` : null,
+      route: cost.route || null,
+      turn: response.turn ?? null,
+      historyTurns: response.historyTurns || 0,
       question: question.substring(0, 50) + (question.length > 50 ? '...' : ''),
       responseTime,
       tokens: cost,
@@ -73,13 +180,52 @@ class CostTracker {
     
     this.sessions.push(session);
     this.totalCost += cost.totalCost;
+    addTo(this.costs, cost.totalCost);
     this.totalTokens.input += inputTokens;
     this.totalTokens.output += outputTokens;
     this.totalTokens.total += cost.totalTokens;
+    if (cost.estimated) this.totalTokens.estimated += cost.totalTokens;
+    this.budget.record(cost.totalCost);
+    if (this.metrics) {
+      const labels = { model: model || 'unknown' };
+      this.metrics.inc('prompt_tokens', labels, inputTokens);
+      this.metrics.inc('completion_tokens', labels, outputTokens);
+      this.metrics.inc('cost', { ...labels, currency: cost.currency || this.pricingTable.table.currency }, cost.totalCost);
+      if (response.cached) this.metrics.inc('cache_hits');
+    }
+    this.ledger?.append({
+      timestamp: session.timestamp,
+      session: this.sessionId,
+      provider: session.provider,
+      model,
+      route: session.route,
+      inputTokens,
+      outputTokens,
+      cachedTokens: cost.cachedTokens || 0,
+      cost: cost.totalCost,
+      currency: cost.currency || this.pricingTable.table.currency,
+      latencyMs: responseTime,
+      cached: !!response.cached,
+      offline: !!response.offline,
+      question: session.question
+    });
     
     return cost;
   }
 
+  /**
+   * Pre-flight budget check for the next query
+   * estimate is { model, billable, offline, cached, inputTokens, outputTokens } from LLMService.estimateQuestion()
+   * Returns the budget decision ({ status, period, limit, spent, projected, action }) plus estimatedCost
+   */
+  checkBudget(estimate) {
+    const estimatedCost = estimate.offline || estimate.cached || estimate.billable === false
+      ? 0
+      : this.calculateQueryCost(estimate.inputTokens, estimate.outputTokens, estimate.model).totalCost;
+
+    return { ...this.budget.check(estimatedCost), estimatedCost };
+  }
+
   /**
    * Get current session statistics
    */
@@ -87,10 +233,19 @@ class CostTracker {
     return {
       totalQueries: this.sessions.length,
       totalCost: this.totalCost,
-      formattedTotalCost: `$${this.totalCost.toFixed(6)}`,
+      costs: this.costs,
+      formattedTotalCost: this.formatTotals(this.costs),
       totalTokens: this.totalTokens,
       averageCostPerQuery: this.sessions.length > 0 ? this.totalCost / this.sessions.length : 0,
       averageTokensPerQuery: this.sessions.length > 0 ? this.totalTokens.total / this.sessions.length : 0,
+      cacheHits: this.cacheHits,
+      cachedTokens: this.cachedTokens,
+      savedCost: this.savedCost,
+      savedCosts: this.savedCosts,
+      formattedSavedCost: this.formatTotals(this.savedCosts),
+      routes: this.routes,
+      models: this.models,
+      budget: this.budget.getStats(),
       sessions: this.sessions
     };
   }
@@ -99,10 +254,11 @@ class CostTracker {
    * Display cost information for a query
    */
   displayQueryCost(cost, responseTime) {
-    const tokensInfo = cost.totalTokens > 0 ? 
-      `Tokens: ${cost.totalTokens} (${cost.inputTokens}+${cost.outputTokens})` : 
+    const tokensInfo = cost.cached ? `Tokens: none (cached answer, saved ${this.formatAmount(cost.savedCost, cost.currency)})` :
+      cost.offline ? 'Tokens: none (offline answer)' : cost.totalTokens > 0 ? 
+      `Tokens: ${cost.totalTokens} (${cost.inputTokens}+${cost.outputTokens}${cost.estimated ? ', estimated' : ''})` : 
       'Tokens: estimated';
-    console.log(chalk.gray(`💰 Query cost: ${cost.formattedCost} | ${tokensInfo} | Time: ${responseTime}ms`));
+    console.log(chalk.gray(`💰 Query cost: ${cost.formattedCost} | ${tokensInfo} | Time: ${responseTime}ms${cost.route ? ` | Route: ${cost.route}` : ''}`));
   }
 
   /**
@@ -114,13 +270,52 @@ class CostTracker {
     console.log(chalk.cyan('\n💰 Session Cost Summary'));
     console.log(chalk.gray('━'.repeat(40)));
     console.log(chalk.white(`Total Queries: ${stats.totalQueries}`));
-    console.log(chalk.white(`Total Tokens: ${stats.totalTokens.total.toLocaleString()}`));
+    const estimatedTokens = stats.totalTokens.estimated > 0 ? ` (${stats.totalTokens.estimated.toLocaleString()} estimated)` : '';
+    console.log(chalk.white(`Total Tokens: ${stats.totalTokens.total.toLocaleString()}${estimatedTokens}`));
     console.log(chalk.gray(`  • Input: ${stats.totalTokens.input.toLocaleString()}`));
     console.log(chalk.gray(`  • Output: ${stats.totalTokens.output.toLocaleString()}`));
     console.log(chalk.green(`Total Cost: ${stats.formattedTotalCost}`));
+    if (stats.cacheHits > 0 || stats.cachedTokens > 0) {
+      console.log(chalk.green(`Saved: ${stats.formattedSavedCost} (${stats.cacheHits} cache ${stats.cacheHits === 1 ? 'hit' : 'hits'}, ${stats.cachedTokens.toLocaleString()} cached prompt tokens)`));
+    }
+
+    const models = Object.entries(stats.models);
+    if (models.length > 0) {
+      console.log(chalk.white('By Model:'));
+      models.forEach(([model, entry]) => {
+        const rate = entry.rate
+          ? ` @ ${this.formatRate(entry.rate)}${entry.rate.known ? '' : ` (${entry.rate.model} rates)`}`
+          : ' (no charge)';
+        console.log(chalk.gray(`  • ${model}: ${entry.queries} ${entry.queries === 1 ? 'query' : 'queries'}, ${(entry.inputTokens + entry.outputTokens).toLocaleString()} tokens, ${this.formatAmount(entry.cost, entry.currency)}${rate}`));
+      });
+    }
+
+    const routes = Object.entries(stats.routes);
+    if (routes.length > 0) {
+      console.log(chalk.white('Routes:'));
+      routes.forEach(([route, { queries, costs }]) => {
+        console.log(chalk.gray(`  • ${route}: ${queries} ${queries === 1 ? 'query' : 'queries'}, ${this.formatTotals(costs)}`));
+      });
+    }
+
+    if (stats.budget.enabled) {
+      console.log(chalk.white('Budgets:'));
+      Object.entries(stats.budget.limits).filter(([, limit]) => limit > 0).forEach(([period, limit]) => {
+        const spent = stats.budget.spent[period];
+        const share = Math.round((spent / limit) * 100);
+        const color = spent > limit ? chalk.red : spent >= limit * stats.budget.warnAt ? chalk.yellow : chalk.gray;
+        console.log(color(`  • ${period}: ${this.formatAmount(spent)} of ${this.formatAmount(limit)} (${share}%)`));
+      });
+    }
+
+    const prompts = [...new Set(stats.sessions.map(session => session.prompt).filter(Boolean))];
+    if (prompts.length > 0) {
+      console.log(chalk.gray(`Prompt Templates: ${prompts.join(', ')}`));
+    }
     
     if (stats.totalQueries > 0) {
-      console.log(chalk.yellow(`Average per query: $${stats.averageCostPerQuery.toFixed(6)}`));
+      const averages = Object.fromEntries(Object.entries(stats.costs).map(([currency, amount]) => [currency, amount / stats.totalQueries]));
+      console.log(chalk.yellow(`Average per query: ${this.formatTotals(averages)}`));
       console.log(chalk.yellow(`Average tokens: ${Math.round(stats.averageTokensPerQuery)}`));
     }
     
@@ -136,11 +331,20 @@ class CostTracker {
     }
   }
 
+  /**
+   * Rates of a pricing entry, e.g. "$30/$60 per 1M tokens (from 2023-03-14)"
+   */
+  formatRate(rate) {
+    const unit = rate.unit >= 1000000 ? `${rate.unit / 1000000}M` : `${rate.unit / 1000}K`;
+    const price = value => (rate.currency === 'USD' ? `$${value}` : `${value} ${rate.currency}`);
+    return `${price(rate.input)}/${price(rate.output)} per ${unit} tokens${rate.effectiveDate ? ` (from ${rate.effectiveDate})` : ''}`;
+  }
+
   /**
    * Get estimated cost for a given number of tokens
    */
-  estimateCost(inputTokens, outputTokens = 0) {
-    return this.calculateQueryCost(inputTokens, outputTokens);
+  estimateCost(inputTokens, outputTokens = 0, model = null) {
+    return this.calculateQueryCost(inputTokens, outputTokens, model);
   }
 }
 
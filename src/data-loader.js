@@ -1,46 +1,190 @@
-import { readFileSync } from 'fs';
-import { join, dirname } from 'path';
+import { readFileSync, writeFileSync, mkdirSync, readdirSync, statSync, existsSync } from 'fs';
+import { join, dirname, resolve, relative, sep } from 'path';
 import { fileURLToPath } from 'url';
 import chalk from 'chalk';
+import ApiDataSource from './api-data-source.js';
+import CatalogParser from './catalog-parser.js';
+import PropertyValidator from './property-validator.js';
+import SearchIndex from './search-index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 /**
- * Data loader for rental property data from local JSON file
+ * Data loader for rental property data from local JSON file or live API
  * Optimized for fast AI chatbot responses without external API dependency
  */
 class PropertyDataLoader {
-  constructor(maxProperties = 18) {
+  constructor(maxProperties = 18, options = {}) {
     this.maxProperties = maxProperties;
     this.properties = [];
     this.rawData = null;
-    this.dataPath = join(__dirname, '..', 'data', 'properties.json');
+    // Relative paths resolve from the project root, like JSON_DATA_PATH in .env
+    this.dataPath = options.dataPath
+      ? resolve(join(__dirname, '..'), options.dataPath)
+      : join(__dirname, '..', 'data', 'properties.json');
+    this.catalogFiles = [];
+    this.recordSources = new WeakMap();
+    this.validator = new PropertyValidator();
+    this.quarantineReport = null;
+    this.searchIndex = new SearchIndex();
+    this.rawById = new Map();
+    this.quarantineReportPath = options.quarantineReportPath
+      ? resolve(join(__dirname, '..'), options.quarantineReportPath)
+      : null;
+    this.parser = new CatalogParser({
+      format: options.catalogFormat,
+      columnMap: options.csvColumnMap,
+      delimiter: options.csvDelimiter
+    });
+    this.dataSource = options.dataSource || 'json';
+    this.apiSource = this.dataSource === 'api'
+      ? new ApiDataSource({
+          endpoint: options.apiEndpoint,
+          cachePath: options.apiCachePath,
+          timeout: options.apiTimeout
+        })
+      : null;
   }
 
   /**
-   * Load properties from local JSON file
+   * Resolve the configured data path (file, directory or glob) to catalog files
+   */
+  resolveCatalogFiles() {
+    const spec = this.dataPath;
+
+    if (/[*?]/.test(spec)) {
+      const segments = spec.split(/[\\/]/);
+      const firstWildcard = segments.findIndex(segment => /[*?]/.test(segment));
+      const baseDir = segments.slice(0, firstWildcard).join(sep) || '.';
+      const matcher = this.globToRegExp(segments.slice(firstWildcard).join('/'));
+
+      if (!existsSync(baseDir)) return [];
+      return this.listFiles(baseDir)
+        .filter(file => matcher.test(relative(baseDir, file).split(sep).join('/')))
+        .sort();
+    }
+
+    if (existsSync(spec) && statSync(spec).isDirectory()) {
+      return this.listFiles(spec)
+        .filter(file => this.isCatalogFile(file))
+        .sort();
+    }
+
+    return [spec];
+  }
+
+  /**
+   * Recursively list files below a directory
+   */
+  listFiles(dir) {
+    return readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+      const fullPath = join(dir, entry.name);
+      return entry.isDirectory() ? this.listFiles(fullPath) : [fullPath];
+    });
+  }
+
+  /**
+   * Check whether a file looks like a supported catalog file
+   */
+  isCatalogFile(file) {
+    return this.parser.isSupported(file);
+  }
+
+  /**
+   * Convert a glob pattern (*, ?, **) into a regular expression
+   */
+  globToRegExp(pattern) {
+    let regex = '';
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      if (char === '*' && pattern[i + 1] === '*') {
+        // "**/" matches zero or more directories
+        regex += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+        i += pattern[i + 2] === '/' ? 2 : 1;
+      } else if (char === '*') {
+        regex += '[^/]*';
+      } else if (char === '?') {
+        regex += '[^/]';
+      } else {
+        regex += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+    return new RegExp(`^${regex}$`);
+  }
+
+  /**
+   * Read a single catalog file (JSON, CSV or NDJSON) into a { metadata, properties } document
+   */
+  loadCatalogFile(filePath) {
+    const fileContent = readFileSync(filePath, 'utf8');
+    return this.parser.parse(fileContent, filePath);
+  }
+
+  /**
+   * Load properties from local catalog file(s) and merge them into one set
    */
   loadPropertiesFromFile() {
     try {
-      console.log(chalk.blue('📂 Loading property data from local JSON file...'));
-      
-      const fileContent = readFileSync(this.dataPath, 'utf8');
-      this.rawData = JSON.parse(fileContent);
-      
-      if (!this.rawData.properties || !Array.isArray(this.rawData.properties)) {
-        throw new Error('Invalid JSON structure: properties array not found');
+      console.log(chalk.blue('📂 Loading property data from local catalog...'));
+
+      const files = this.resolveCatalogFiles();
+      if (files.length === 0) {
+        const error = new Error(`No catalog files matched ${this.dataPath}`);
+        error.code = 'ENOENT';
+        throw error;
+      }
+
+      const properties = [];
+      const seenIds = new Set();
+      this.catalogFiles = [];
+
+      for (const file of files) {
+        const document = this.loadCatalogFile(file);
+        let added = 0;
+
+        for (const property of document.properties) {
+          if (property.id && seenIds.has(property.id)) {
+            console.log(chalk.yellow(`⚠️ Skipping duplicate property ${property.id} in ${relative(process.cwd(), file)}`));
+            continue;
+          }
+          if (property.id) seenIds.add(property.id);
+          properties.push(property);
+          if (typeof property === 'object' && property !== null) {
+            this.recordSources.set(property, relative(process.cwd(), file));
+          }
+          added++;
+        }
+
+        this.catalogFiles.push({
+          path: relative(process.cwd(), file),
+          count: added,
+          source: document.metadata?.source || `Local ${this.parser.detectFormat(file).toUpperCase()} file`,
+          metadata: document.metadata || null
+        });
+        console.log(chalk.gray(`   • ${relative(process.cwd(), file)}: ${added} properties`));
       }
 
-      console.log(chalk.green(`✅ Successfully loaded ${this.rawData.properties.length} properties from JSON`));
+      this.rawData = {
+        metadata: this.catalogFiles.length === 1
+          ? this.catalogFiles[0].metadata
+          : {
+              totalProperties: properties.length,
+              source: `${this.catalogFiles.length} local catalog files`,
+              description: 'Merged multi-file property catalog'
+            },
+        properties
+      };
+
+      console.log(chalk.green(`✅ Successfully loaded ${properties.length} properties from ${files.length} file(s)`));
       console.log(chalk.cyan(`📊 Data source: ${this.rawData.metadata?.source || 'Local JSON file'}`));
-      
-      return this.rawData.properties;
-      
+
+      return properties;
+
     } catch (error) {
       if (error.code === 'ENOENT') {
-        console.error(chalk.red('❌ Properties JSON file not found at:'), this.dataPath);
-        console.log(chalk.yellow('💡 Make sure the data/properties.json file exists'));
+        console.error(chalk.red('❌ Properties catalog not found at:'), this.dataPath);
+        console.log(chalk.yellow('💡 Check JSON_DATA_PATH points to a file, directory or glob of catalog files'));
       } else {
         console.error(chalk.red('❌ Error loading properties:'), error.message);
       }
@@ -48,6 +192,57 @@ class PropertyDataLoader {
     }
   }
 
+  /**
+   * Load properties from the live API (with on-disk cache fallback)
+   */
+  async loadPropertiesFromApi() {
+    this.rawData = await this.apiSource.fetchProperties();
+
+    console.log(chalk.cyan(`📊 Data source: ${this.rawData.metadata.source}`));
+
+    return this.rawData.properties;
+  }
+
+  /**
+   * Validate raw records against the property schema and quarantine invalid ones
+   */
+  validateProperties(allProperties) {
+    const { valid, report } = this.validator.validateAll(
+      allProperties,
+      record => this.recordSources.get(record) || (this.dataSource === 'api' ? 'api' : null)
+    );
+    this.quarantineReport = report;
+
+    if (report.quarantinedRecords > 0) {
+      console.log(chalk.yellow(`⚠️ Quarantined ${report.quarantinedRecords} invalid propert${report.quarantinedRecords === 1 ? 'y' : 'ies'} (not sent to AI):`));
+      report.quarantined.forEach(entry => {
+        const reasons = entry.errors.map(error => `${error.field}: ${error.reason}`).join('; ');
+        console.log(chalk.gray(`   • ${entry.id || `record #${entry.index + 1}`}${entry.source ? ` (${entry.source})` : ''} - ${reasons}`));
+      });
+    }
+
+    if (this.quarantineReportPath) {
+      try {
+        mkdirSync(dirname(this.quarantineReportPath), { recursive: true });
+        writeFileSync(this.quarantineReportPath, JSON.stringify(report, null, 2));
+        if (report.quarantinedRecords > 0) {
+          console.log(chalk.gray(`   Report written to ${relative(process.cwd(), this.quarantineReportPath)}`));
+        }
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️ Could not write quarantine report: ${error.message}`));
+      }
+    }
+
+    return valid;
+  }
+
+  /**
+   * Get the quarantine report from the last load
+   */
+  getQuarantineReport() {
+    return this.quarantineReport;
+  }
+
   /**
    * Select diverse subset of properties for optimal AI performance
    */
@@ -134,6 +329,9 @@ class PropertyDataLoader {
   formatPropertiesForAI(properties) {
     return properties.map((property, index) => {
       const facilities = this.normalizeFacilities(property.facilities);
+      // Catalog text can carry stray whitespace (" Bali"), which would break exact location matches
+      const city = property.city?.trim() || 'Unknown';
+      const country = property.country?.trim() || 'Unknown';
       
       return {
         id: property.id,
@@ -142,12 +340,14 @@ class PropertyDataLoader {
         description: (property.description || '').substring(0, 300), // Limit for AI efficiency
         price: property.price || 0,
         priceDisplay: `$${property.price}/night`,
-        location: `${property.city || 'Unknown'}, ${property.country || 'Unknown'}`,
+        city,
+        country,
+        location: `${city}, ${country}`,
         address: property.address || 'Address not provided',
         facilities: facilities,
         facilitiesText: `${facilities.bedrooms} bedrooms, ${facilities.bathrooms} bathrooms, ${facilities.parking} parking spaces`,
         hasImage: !!(property.image),
-        summary: `${property.title} in ${property.city}, ${property.country} - $${property.price}/night`
+        summary: `${property.title} in ${city}, ${country} - $${property.price}/night`
       };
     });
   }
@@ -157,14 +357,23 @@ class PropertyDataLoader {
    */
   async getProperties(forceRefresh = false) {
     try {
-      // Load fresh data from JSON file
-      const allProperties = this.loadPropertiesFromFile();
+      // Load fresh data from the configured source
+      const allProperties = this.dataSource === 'api'
+        ? await this.loadPropertiesFromApi()
+        : this.loadPropertiesFromFile();
       
-      // Always use all available properties (no filtering)
-      console.log(chalk.cyan(`📋 Using all ${allProperties.length} available properties`));
+      // Quarantine records that fail the property schema
+      const validProperties = this.validateProperties(allProperties);
+
+      // Use all valid properties (no further filtering)
+      console.log(chalk.cyan(`📋 Using all ${validProperties.length} available properties`));
       
       // Format for AI
-      this.properties = this.formatPropertiesForAI(allProperties);
+      this.properties = this.formatPropertiesForAI(validProperties);
+
+      // Index the full (untruncated) text for lexical search
+      this.buildSearchIndex(validProperties);
+      this.rawById = new Map(validProperties.map(property => [property.id, property]));
       
       console.log(chalk.green('🏠 Property data ready for AI chatbot'));
       console.log(chalk.yellow(`🎯 All ${this.properties.length} properties loaded for comprehensive AI responses`));
@@ -177,6 +386,57 @@ class PropertyDataLoader {
     }
   }
 
+  /**
+   * Build the full-text index over title, description and address
+   */
+  buildSearchIndex(rawProperties) {
+    this.searchIndex.build(rawProperties.map(property => ({
+      id: property.id,
+      title: property.title,
+      description: property.description,
+      address: [property.address, property.city, property.country].filter(Boolean).join(' ')
+    })));
+  }
+
+  /**
+   * Full-text search over the loaded properties
+   * Returns the top k formatted properties with their score and best-matching excerpt
+   */
+  search(query, k = 5) {
+    const byId = new Map(this.properties.map(property => [property.id, property]));
+
+    return this.searchIndex.search(query, k)
+      .filter(hit => byId.has(hit.id))
+      .map(hit => ({
+        property: byId.get(hit.id),
+        score: hit.score,
+        snippet: this.searchIndex.snippet(hit.document.description, query)
+      }));
+  }
+
+  /**
+   * Get the original (unformatted, untruncated) record for a property id
+   */
+  getRawProperty(id) {
+    return this.rawById.get(id) || null;
+  }
+
+  /**
+   * Compare two formatted property sets by id (added, removed and price-changed listings)
+   */
+  diffProperties(previous, next) {
+    const previousById = new Map(previous.map(property => [property.id, property]));
+    const nextById = new Map(next.map(property => [property.id, property]));
+
+    return {
+      added: next.filter(property => !previousById.has(property.id)),
+      removed: previous.filter(property => !nextById.has(property.id)),
+      priceChanged: next
+        .filter(property => previousById.has(property.id) && previousById.get(property.id).price !== property.price)
+        .map(property => ({ property, oldPrice: previousById.get(property.id).price, newPrice: property.price }))
+    };
+  }
+
   /**
    * Get property statistics for debugging
    */
@@ -195,19 +455,39 @@ class PropertyDataLoader {
       },
       countries: countries.length,
       countryList: countries,
-      dataSource: 'Local JSON file',
+      dataSource: this.dataSource === 'api' ? `Live API (${this.apiSource.lastStatus})` : this.describeFileSource(),
+      files: this.catalogFiles.map(({ path, count, source }) => ({ path, count, source })),
+      quarantined: this.quarantineReport?.quarantinedRecords || 0,
       jsonMetadata: this.rawData?.metadata || null
     };
   }
 
+  /**
+   * Describe the local catalog source for display
+   */
+  describeFileSource() {
+    if (this.catalogFiles.length === 0) return 'Local JSON file';
+    if (this.catalogFiles.length === 1) {
+      return `Local ${this.parser.detectFormat(this.catalogFiles[0].path).toUpperCase()} file`;
+    }
+    return `Local catalog (${this.catalogFiles.length} files)`;
+  }
+
   /**
    * Get metadata about the dataset
    */
   getMetadata() {
-    return this.rawData?.metadata || {
+    const metadata = this.rawData?.metadata || {
       description: 'Local property dataset',
       source: 'JSON file'
     };
+
+    if (this.catalogFiles.length === 0) return metadata;
+
+    return {
+      ...metadata,
+      files: this.catalogFiles.map(({ path, count, source }) => ({ path, count, source }))
+    };
   }
 }
 
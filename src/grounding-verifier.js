@@ -0,0 +1,260 @@
+/**
+ * Grounding verifier for AI answers
+ * Cross-checks the listings, prices, locations and facility counts an answer mentions
+ * against the loaded catalog, so hallucinated details can be flagged
+ */
+class GroundingVerifier {
+  constructor() {
+    this.numberWords = {
+      one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+      seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+    };
+
+    this.facilityPattern = new RegExp(
+      `\\b(\\d+|${Object.keys(this.numberWords).join('|')})[\\s-]*(bedrooms?|bathrooms?|baths?|parking(?: spaces?| spots?)?|car spaces?)\\b`,
+      'g'
+    );
+
+    // Prices after these words restate the guest's budget rather than quote a listing
+    this.budgetWords = /\b(under|below|less than|cheaper than|up to|at most|max(?:imum)?|budget(?: of)?|within|over|above|more than|at least|min(?:imum)?|between|around|about|approximately|roughly|save|saves|saving)\s*$/;
+
+    // Counts after these words restate the guest's requirements
+    this.requirementWords = /\b(at least|minimum|min|more than|up to|at most|no more than|over|under)\s*$/;
+
+    // Leading words of a bullet that describe a field, not a listing name
+    this.fieldLabels = /^(price|prices|cost|rate|nightly|location|address|facilities|features|amenities|bedrooms?|bathrooms?|parking|total|budget|note|tip|why|highlights?)\b/;
+  }
+
+  /**
+   * Lowercase and strip accents so titles and places match however they are written
+   */
+  normalize(text) {
+    return (text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  }
+
+  /**
+   * Escape a string for use inside a regular expression
+   */
+  escape(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Find property mentions in a line: full titles or "Property N" references
+   * Overlapping title matches keep the longest one
+   */
+  findMentions(line, properties) {
+    const found = [];
+
+    for (const property of properties) {
+      const title = this.normalize(property.title).trim();
+      if (title.length < 4) continue;
+
+      let start = line.indexOf(title);
+      while (start !== -1) {
+        found.push({ start, end: start + title.length, property });
+        start = line.indexOf(title, start + 1);
+      }
+    }
+
+    for (const match of line.matchAll(/\bproperty\s*#?(\d+)\b/g)) {
+      const property = properties.find(candidate => candidate.index === parseInt(match[1]));
+      found.push({ start: match.index, end: match.index + match[0].length, property: property || null, reference: match[0] });
+    }
+
+    found.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+    return found.filter((mention, i) => !found.some((other, j) =>
+      j !== i && other.start <= mention.start && other.end >= mention.end && (other.end - other.start) > (mention.end - mention.start)
+    ));
+  }
+
+  /**
+   * Prices quoted in a line, skipping ranges, totals and restated budgets
+   */
+  findPrices(line, questionText) {
+    const prices = [];
+
+    for (const match of line.matchAll(/\$\s?(\d[\d,]*(?:\.\d+)?)/g)) {
+      const before = line.slice(Math.max(0, match.index - 25), match.index);
+      const after = line.slice(match.index + match[0].length, match.index + match[0].length + 20);
+      const value = parseFloat(match[1].replace(/,/g, ''));
+
+      if (this.budgetWords.test(before)) continue;
+      if (/^\s*(?:-|–|to)\s*\$?\s?\d/.test(after) || /\$\s?\d[\d,]*\s*(?:-|–|to)\s*$/.test(before)) continue;
+      if (/^(?:\/night)?\s*(?:for \d+ nights|total|in total)/.test(after)) continue;
+      if (questionText.includes(`$${match[1]}`) || new RegExp(`\\b${this.escape(match[1])}\\b`).test(questionText)) continue;
+
+      prices.push({ position: match.index, value });
+    }
+
+    return prices;
+  }
+
+  /**
+   * Facility counts quoted in a line ("3 bedrooms", "two bathrooms", "1 parking space")
+   */
+  findFacilities(line) {
+    const facilities = [];
+
+    for (const match of line.matchAll(this.facilityPattern)) {
+      const before = line.slice(Math.max(0, match.index - 15), match.index);
+      const after = line.slice(match.index + match[0].length, match.index + match[0].length + 10);
+      if (this.requirementWords.test(before) || /^\s*(?:\+|or more)/.test(after)) continue;
+
+      const count = /^\d+$/.test(match[1]) ? parseInt(match[1]) : this.numberWords[match[1]];
+      const field = match[2].startsWith('bed') ? 'bedrooms' : match[2].startsWith('bath') ? 'bathrooms' : 'parking';
+      facilities.push({ position: match.index, field, value: count });
+    }
+
+    return facilities;
+  }
+
+  /**
+   * Catalog cities and countries mentioned in a line, outside any listing title
+   */
+  findLocations(line, places, mentions) {
+    const locations = [];
+
+    for (const place of places) {
+      for (const match of line.matchAll(new RegExp(`(^|[^a-z])${this.escape(place)}(?=$|[^a-z])`, 'g'))) {
+        const position = match.index + match[1].length;
+        if (mentions.some(mention => position >= mention.start && position < mention.end)) continue;
+        locations.push({ position, value: place });
+      }
+    }
+
+    return locations;
+  }
+
+  /**
+   * A bullet that quotes a price but names no known listing looks like an invented one
+   * Returns the apparent listing name, or null
+   */
+  inventedListing(line, rawLine) {
+    const bullet = rawLine.match(/^(\s*)(?:[-*•]|\d+[.)])\s+(.*)$/);
+    if (!bullet || bullet[1].length > 0 || !/\$\s?\d/.test(line)) return null;
+
+    const text = bullet[2];
+    const bold = text.match(/\*\*(.+?)\*\*/);
+    const name = (bold ? bold[1] : text.split(/\s[-–]\s|\s\(|:|\$|\sin\s/)[0]).replace(/[*_]/g, '').trim();
+
+    if (name.length < 3 || this.fieldLabels.test(this.normalize(name))) return null;
+    return name;
+  }
+
+  /**
+   * Check one fact against the property it is attributed to
+   */
+  checkFact(report, fact, property) {
+    const actual = fact.type === 'price' ? property.price : property.facilities[fact.type];
+    const entry = { type: fact.type, value: fact.value, propertyId: property.id, title: property.title };
+
+    if (fact.type === 'price' ? Math.abs(actual - fact.value) < 0.5 : actual === fact.value) {
+      report.verified.push(entry);
+    } else {
+      report.mismatched.push({ ...entry, expected: actual });
+    }
+  }
+
+  /**
+   * Verify an answer against the formatted catalog
+   * Facts are attributed to the nearest preceding listing in the same paragraph
+   * Returns { grounded, mentionedIds, verified, mismatched, unknown }
+   */
+  verify(answer, properties, question = '') {
+    const report = { grounded: true, mentionedIds: [], verified: [], mismatched: [], unknown: [] };
+    if (!answer || !properties || properties.length === 0) return report;
+
+    const questionText = this.normalize(question);
+    const catalogPrices = new Set(properties.map(property => property.price));
+    const placeNames = new Map(properties.flatMap(property => [property.city, property.country])
+      .map(place => (place || '').trim())
+      .filter(place => place && place !== 'Unknown')
+      .map(place => [this.normalize(place), place]));
+    const places = [...placeNames.keys()];
+    const mentioned = new Set();
+
+    let context = null;
+    for (const rawLine of answer.split('\n')) {
+      const line = this.normalize(rawLine);
+
+      // Paragraph breaks end the current listing
+      if (!line.trim()) {
+        context = null;
+        continue;
+      }
+
+      const mentions = this.findMentions(line, properties);
+
+      for (const mention of mentions.filter(mention => !mention.property)) {
+        report.unknown.push({ type: 'listing', value: mention.reference.replace(/^p/, 'P'), reason: 'No property has this number' });
+      }
+
+      const invented = mentions.length === 0 ? this.inventedListing(line, rawLine) : null;
+      if (invented) {
+        report.unknown.push({ type: 'listing', value: invented, reason: 'Not a listing in the catalog' });
+        context = 'unknown';
+        continue;
+      }
+
+      const facts = [
+        ...this.findPrices(line, questionText).map(fact => ({ ...fact, type: 'price' })),
+        ...this.findFacilities(line).map(fact => ({ ...fact, type: fact.field })),
+        ...this.findLocations(line, places, mentions).map(fact => ({ ...fact, type: 'location' }))
+      ];
+
+      for (const fact of facts) {
+        const preceding = mentions.filter(mention => mention.start <= fact.position).pop();
+        const owner = preceding ? preceding.property : context;
+        if (owner === 'unknown') continue;
+
+        if (!owner) {
+          // Unattributed prices must at least exist somewhere in the catalog
+          if (fact.type === 'price') {
+            if (catalogPrices.has(fact.value)) report.verified.push({ type: 'price', value: fact.value });
+            else report.unknown.push({ type: 'price', value: fact.value, reason: 'No listing has this price' });
+          }
+          continue;
+        }
+
+        if (fact.type === 'location') {
+          const entry = { type: 'location', value: placeNames.get(fact.value), propertyId: owner.id, title: owner.title };
+          if ([owner.city, owner.country].some(place => this.normalize(place).trim() === fact.value)) report.verified.push(entry);
+          else report.mismatched.push({ ...entry, expected: owner.location });
+          continue;
+        }
+
+        this.checkFact(report, fact, owner);
+      }
+
+      for (const mention of mentions) {
+        if (mention.property) mentioned.add(mention.property.id);
+      }
+      if (mentions.length > 0) {
+        context = mentions[mentions.length - 1].property || 'unknown';
+      }
+    }
+
+    report.mentionedIds = [...mentioned];
+    report.grounded = report.mismatched.length === 0 && report.unknown.length === 0;
+    return report;
+  }
+
+  /**
+   * One-line descriptions of the problems in a report, for CLI warnings
+   */
+  describeIssues(report) {
+    const format = (type, value) => (type === 'price' ? `$${value}/night` : type === 'location' ? value : `${value} ${type}`);
+
+    return [
+      ...report.mismatched.map(issue => (issue.type === 'location'
+        ? `"${issue.title}" is placed in ${issue.value}, but the catalog lists ${issue.expected}`
+        : `"${issue.title}" is quoted ${issue.type === 'price' ? 'at' : 'with'} ${format(issue.type, issue.value)}, but the catalog lists ${format(issue.type, issue.expected)}`)),
+      ...report.unknown.map(issue => (issue.type === 'price'
+        ? `${format('price', issue.value)} does not match any listing's price`
+        : `"${issue.value}" is not a listing in the catalog`))
+    ];
+  }
+}
+
+export default GroundingVerifier;
@@ -0,0 +1,93 @@
+/**
+ * Lightweight language detection for guest questions
+ * Covers the languages our guests write in (English, Portuguese, French, Thai)
+ * using script ranges, language-specific accents and common words
+ */
+class LanguageDetector {
+  static LANGUAGES = {
+    en: 'English',
+    pt: 'Portuguese',
+    fr: 'French',
+    th: 'Thai'
+  };
+
+  constructor(options = {}) {
+    this.options = {
+      minScore: options.minScore || 2 // Weaker evidence than this is treated as undetermined
+    };
+
+    // Common words, written without accents (questions are compared accent-stripped)
+    this.vocabulary = {
+      en: [
+        'the', 'is', 'are', 'with', 'for', 'in', 'show', 'me', 'what', 'which', 'cheapest', 'bedrooms', 'bedroom',
+        'bathrooms', 'near', 'under', 'property', 'properties', 'any', 'do', 'you', 'have', 'i', 'want', 'need',
+        'looking', 'and', 'of', 'to', 'price', 'night', 'where', 'there', 'cheap', 'beach', 'place', 'available'
+      ],
+      pt: [
+        'de', 'que', 'nao', 'com', 'para', 'uma', 'um', 'os', 'em', 'no', 'na', 'quartos', 'quarto', 'preco',
+        'perto', 'praia', 'casa', 'quero', 'tem', 'ha', 'qual', 'quais', 'mais', 'barato', 'barata', 'noite',
+        'estacionamento', 'imovel', 'imoveis', 'voce', 'onde', 'por', 'do', 'da', 'dos', 'das', 'ate', 'mostre',
+        'preciso', 'procuro', 'banheiros', 'vaga', 'algum', 'alguma', 'menos', 'diaria', 'propriedades'
+      ],
+      fr: [
+        'le', 'la', 'les', 'des', 'une', 'un', 'est', 'avec', 'pour', 'dans', 'je', 'cherche', 'chambres',
+        'chambre', 'prix', 'pas', 'moins', 'cher', 'chere', 'nuit', 'plage', 'pres', 'ou', 'quel', 'quelle',
+        'quels', 'quelles', 'il', 'vous', 'propriete', 'proprietes', 'logement', 'appartement', 'maison', 'du',
+        'au', 'aux', 'et', 'sous', 'avez', 'montrez', 'moi', 'voudrais', 'salles', 'bain', 'stationnement'
+      ]
+    };
+
+    // Letters only one of the Latin-script languages uses
+    this.accents = {
+      pt: /[\u00e3\u00f5]/, // ã õ
+      fr: /[\u00e8\u00f9\u0153\u00eb\u00ef\u00ee\u00fb]/ // è ù œ ë ï î û
+    };
+
+    this.thaiScript = /[\u0e00-\u0e7f]/;
+  }
+
+  /**
+   * Detect the language of a question
+   * Returns { language, confidence }; language is null when the text is too short to tell
+   */
+  detect(text) {
+    const raw = (text || '').toLowerCase();
+
+    if (this.thaiScript.test(raw)) {
+      return { language: 'th', confidence: 1 };
+    }
+
+    const words = raw
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .split(/[^a-z]+/)
+      .filter(Boolean);
+
+    const scores = Object.fromEntries(Object.entries(this.vocabulary).map(([language, vocabulary]) => [
+      language,
+      words.filter(word => vocabulary.includes(word)).length
+    ]));
+
+    for (const [language, pattern] of Object.entries(this.accents)) {
+      if (pattern.test(raw)) scores[language] += 2;
+    }
+
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    const [best, runnerUp] = ranked;
+
+    if (best[1] < this.options.minScore || best[1] === runnerUp[1]) {
+      return { language: null, confidence: 0 };
+    }
+
+    return { language: best[0], confidence: Math.round((1 - runnerUp[1] / best[1]) * 100) / 100 };
+  }
+
+  /**
+   * English name of a language code, for model instructions
+   */
+  static nameOf(language) {
+    return LanguageDetector.LANGUAGES[language] || language;
+  }
+}
+
+export default LanguageDetector;
@@ -0,0 +1,190 @@
+import OpenAI from 'openai';
+import TokenCounter from './token-counter.js';
+
+/**
+ * LLM provider implementations
+ * Every provider speaks the OpenAI chat-completions request/response format,
+ * so LLMService can switch backends without changing its prompt or tool logic
+ */
+
+/**
+ * OpenAI hosted API
+ */
+class OpenAIProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.label = 'OpenAI';
+    this.requiresApiKey = true;
+    this.supportsTools = true;
+    this.supportsJsonMode = true; // Accepts response_format: { type: 'json_object' }
+    this.billable = true;
+    this.model = options.model;
+    this.client = new OpenAI({
+      apiKey: options.apiKey,
+      maxRetries: 0, // LLMService retries with its own backoff and circuit breaker
+      ...(options.baseURL ? { baseURL: options.baseURL } : {})
+    });
+  }
+
+  /**
+   * Create a chat completion (returns an async iterable of chunks when streaming)
+   * requestOptions may carry an AbortSignal ({ signal }) for timeouts
+   */
+  async createChatCompletion(request, requestOptions = {}) {
+    return this.client.chat.completions.create(request, requestOptions);
+  }
+
+  /**
+   * Check credentials and connectivity with a minimal request
+   */
+  async validateConnection(requestOptions = {}) {
+    await this.client.chat.completions.create({
+      model: this.model,
+      messages: [{ role: 'user', content: 'Test' }],
+      max_tokens: 1
+    }, requestOptions);
+    return true;
+  }
+}
+
+/**
+ * Any server exposing the OpenAI API at a custom base URL (Ollama, llama.cpp server, vLLM)
+ * Local backends usually need no API key and cost nothing per token
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    if (!options.baseURL) {
+      throw new Error('LLM_BASE_URL is required for the openai-compatible provider (e.g. http://localhost:11434/v1)');
+    }
+
+    // The OpenAI client insists on a key even when the server ignores it
+    super({ ...options, apiKey: options.apiKey || 'not-needed' });
+    this.name = 'openai-compatible';
+    this.label = `OpenAI-compatible (${options.baseURL})`;
+    this.requiresApiKey = false;
+    this.supportsTools = options.supportsTools === true;
+    this.supportsJsonMode = false; // JSON is requested through the prompt only
+    this.billable = options.billable === true;
+  }
+
+  /**
+   * Check the server is reachable and serves the configured model
+   */
+  async validateConnection(requestOptions = {}) {
+    const models = await this.client.models.list(requestOptions);
+    const ids = (models.data || []).map(model => model.id);
+
+    if (ids.length > 0 && this.model && !ids.includes(this.model)) {
+      throw new Error(`Model "${this.model}" not served by ${this.client.baseURL} (available: ${ids.slice(0, 5).join(', ')})`);
+    }
+    return true;
+  }
+}
+
+/**
+ * Deterministic offline provider for tests and demos
+ * Answers by listing the first properties in the system prompt
+ */
+class MockProvider {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.label = 'Mock (offline)';
+    this.requiresApiKey = false;
+    this.supportsTools = false;
+    this.supportsJsonMode = true;
+    this.billable = false;
+    this.model = options.model || 'mock';
+    this.tokenCounter = new TokenCounter();
+  }
+
+  /**
+   * Build a deterministic answer from the properties listed in the system prompt
+   */
+  buildAnswer(messages) {
+    const system = messages.find(message => message.role === 'system')?.content || '';
+    const question = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+    const listings = [...system.matchAll(/^Property \d+: (.+)\n- Location: (.+)\n- Price: (.+)$/gm)].slice(0, 3);
+
+    if (listings.length === 0) {
+      return "I couldn't find any properties matching that request. Try relaxing your price, location or facility requirements.";
+    }
+
+    const bullets = listings.map(([, title, location, price]) => `• ${title} - ${location} - ${price}`).join('\n');
+    return `Here are some properties for "${question.replace(/^[\s\S]*Question: /, '').trim()}":\n${bullets}`;
+  }
+
+  /**
+   * Build a JSON answer citing the first property ids listed in the system messages
+   */
+  buildJsonAnswer(messages) {
+    const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n');
+    const ids = [...system.matchAll(/^- Property \d+ \((.+)\): id "([^"]+)"$/gm)].slice(0, 3);
+
+    return JSON.stringify({
+      summary: ids.length > 0 ? 'Here are some properties that fit your request.' : "I couldn't find any properties matching that request.",
+      recommendations: ids.map(([, title, id]) => ({ id, reason: `${title} is one of the closest matches` }))
+    });
+  }
+
+  /**
+   * Create a chat completion in the OpenAI response format
+   */
+  async createChatCompletion(request) {
+    const content = request.response_format?.type === 'json_object'
+      ? this.buildJsonAnswer(request.messages)
+      : this.buildAnswer(request.messages);
+    const promptTokens = this.tokenCounter.countMessages(request.messages, request.model);
+    const completionTokens = this.tokenCounter.count(content, request.model);
+    const usage = { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens, estimated: true };
+
+    if (!request.stream) {
+      return {
+        model: this.model,
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+        usage
+      };
+    }
+
+    const words = content.split(/(?<= )/);
+    return (async function* () {
+      for (const word of words) {
+        yield { choices: [{ index: 0, delta: { content: word } }] };
+      }
+      yield { choices: [], usage };
+    })();
+  }
+
+  /**
+   * Always available
+   */
+  async validateConnection() {
+    return true;
+  }
+}
+
+const PROVIDERS = {
+  openai: OpenAIProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  mock: MockProvider
+};
+
+/**
+ * Whether a provider name needs an API key to run
+ */
+function providerRequiresApiKey(name = 'openai') {
+  return name === 'openai';
+}
+
+/**
+ * Create a provider by name: openai | openai-compatible | mock
+ */
+function createProvider(name = 'openai', options = {}) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return new Provider(options);
+}
+
+export { OpenAIProvider, OpenAICompatibleProvider, MockProvider, providerRequiresApiKey };
+export default createProvider;
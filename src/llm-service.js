@@ -1,5 +1,17 @@
-import OpenAI from 'openai';
 import chalk from 'chalk';
+import createProvider from './llm-providers.js';
+import QueryFilter from './query-filter.js';
+import OfflineAnswerEngine from './offline-engine.js';
+import GroundingVerifier from './grounding-verifier.js';
+import StructuredAnswerParser from './structured-answer.js';
+import AnswerCache from './answer-cache.js';
+import RetryPolicy from './retry-policy.js';
+import CircuitBreaker from './circuit-breaker.js';
+import PromptTemplates from './prompt-templates.js';
+import LanguageDetector from './language-detector.js';
+import TokenCounter from './token-counter.js';
+import ContextBudget from './context-budget.js';
+import QueryRouter from './query-router.js';
 
 /**
  * LLM Service for fast and accurate property question answering
@@ -7,25 +19,126 @@ import chalk from 'chalk';
  */
 class LLMService {
   constructor(apiKey, options = {}) {
-    this.openai = new OpenAI({
-      apiKey: apiKey
-    });
+    // Provider may be given by name (openai | openai-compatible | mock) or as an instance
+    // Offline mode never calls a model, so it only needs the no-network mock provider
+    this.provider = typeof options.provider === 'object' && options.provider !== null
+      ? options.provider
+      : createProvider(options.offline ? 'mock' : (options.provider || 'openai'), {
+          apiKey,
+          baseURL: options.baseURL,
+          model: options.model || 'gpt-3.5-turbo',
+          supportsTools: options.providerSupportsTools,
+          billable: options.providerBillable
+        });
     
+    // Unlisted options pass through; listed ones are normalized so undefined never wins over a default
     this.options = {
+      ...options,
       model: options.model || 'gpt-3.5-turbo',
-      temperature: options.temperature || 0.2,
+      temperature: options.temperature ?? 0.2,
       maxTokens: options.maxTokens || 400,
       responseTimeout: options.responseTimeout || 30000,
       cacheSystemPrompt: options.cacheSystemPrompt !== false,
-      stream: false, // Ensure we get complete response quickly
-      ...options
+      prefilter: options.prefilter !== false,
+      maxCandidates: options.maxCandidates || 20,
+      retrievalTopK: options.retrievalTopK ?? 3,
+      enableTools: options.enableTools !== false,
+      maxToolRounds: options.maxToolRounds ?? 3,
+      historyTurns: options.historyTurns ?? 6,
+      historyTokens: options.historyTokens || 1500,
+      stream: options.stream === true, // Print tokens as they arrive when a token callback is given
+      offline: options.offline === true, // Answer every question with the rule-based engine
+      offlineFallback: options.offlineFallback !== false, // Use the rule-based engine when the AI call fails
+      verifyGrounding: options.verifyGrounding !== false, // Cross-check answers against the catalog
+      responseFormat: options.responseFormat === 'json' ? 'json' : 'text', // json = summary + cited property ids
+      answerCache: options.answerCache !== false,
+      answerCacheTtl: options.answerCacheTtl ?? 3600000,
+      answerCachePath: options.answerCachePath || null, // null = memory only
+      maxRetries: options.maxRetries ?? 2,
+      retryBaseDelay: options.retryBaseDelay ?? 500,
+      retryMaxDelay: options.retryMaxDelay || 8000,
+      circuitThreshold: options.circuitThreshold || 3,
+      circuitCooldown: options.circuitCooldown || 60000,
+      promptTemplate: options.promptTemplate || 'default', // prompts/<name>.md
+      promptDirectory: options.promptDirectory || null, // null = the bundled prompts/ directory
+      promptPersona: options.promptPersona || null, // null = the template's own persona
+      answerLanguage: options.answerLanguage || 'auto', // auto = reply in the guest's language, or a fixed code
+      defaultLanguage: options.defaultLanguage || 'en', // Used until a question's language can be told
+      contextWindow: options.contextWindow || null, // null = look the model up in the context window table
+      routing: options.routing !== false, // Pick a model per question class
+      routes: options.routes || {} // { lookup, filter, recommendation }: model name or 'offline'
     };
     
     // Cache for system prompt if enabled
     this.cachedSystemPrompt = null;
+
+    // System prompt wording lives in versioned template files; a bad name fails at startup
+    this.promptTemplates = new PromptTemplates({ directory: this.options.promptDirectory });
+    this.promptTemplate = this.promptTemplates.load(this.options.promptTemplate);
+
+    // Deterministic pre-filter so only matching properties reach the model
+    this.queryFilter = new QueryFilter({ maxCandidates: this.options.maxCandidates });
+
+    // Cheap questions can go to a cheaper model (or the rule engine), open-ended ones to a stronger one
+    this.router = new QueryRouter({
+      queryFilter: this.queryFilter,
+      defaultModel: this.options.model,
+      lookup: this.options.routes.lookup || this.options.model,
+      filter: this.options.routes.filter || this.options.model,
+      recommendation: this.options.routes.recommendation || this.options.model
+    });
+
+    // Local token counts keep every request inside the model's context window
+    this.tokenCounter = new TokenCounter({ model: this.options.model });
+    this.contextBudget = new ContextBudget({
+      tokenCounter: this.tokenCounter,
+      contextWindow: this.options.contextWindow || TokenCounter.contextWindow(this.options.model),
+      reserve: this.options.maxTokens
+    });
+
+    // Guests write in several languages; short follow-ups keep the conversation's language
+    this.languageDetector = new LanguageDetector();
+    this.conversationLanguage = null;
+
+    // Rule-based answers for offline mode and AI failures
+    this.offlineEngine = new OfflineAnswerEngine();
+
+    // Flags listings, prices and facilities the catalog doesn't back up
+    this.groundingVerifier = new GroundingVerifier();
+
+    // JSON answer mode: schema validation and id hydration
+    this.structuredParser = new StructuredAnswerParser();
+    this.propertyResolver = null;
+
+    // Repeated questions are answered from cache while the catalog is unchanged
+    this.answerCache = this.options.answerCache
+      ? new AnswerCache({ ttl: this.options.answerCacheTtl, cachePath: this.options.answerCachePath })
+      : null;
+    this.catalogHash = null;
+
+    // Timeouts and retries per request; repeated failures switch to degraded (catalog-only) answers
+    this.retryPolicy = new RetryPolicy({
+      timeout: this.options.responseTimeout,
+      maxRetries: this.options.maxRetries,
+      baseDelay: this.options.retryBaseDelay,
+      maxDelay: this.options.retryMaxDelay
+    });
+    this.circuitBreaker = new CircuitBreaker({
+      failureThreshold: this.options.circuitThreshold,
+      cooldown: this.options.circuitCooldown
+    });
+    this.requestAttempts = 0; // Provider attempts for the question in flight
     
     this.properties = [];
-    console.log(chalk.green('🤖 LLM Service initialized with OpenAI'));
+    this.retriever = null;
+    this.tools = null;
+
+    // Per-session conversation memory: [{ question, answer, propertyIds }]
+    this.history = [];
+    this.turnCount = 0;
+    console.log(chalk.green(this.options.offline
+      ? '🤖 LLM Service initialized in offline mode (rule-based answers)'
+      : `🤖 LLM Service initialized with ${this.provider.label}`));
   }
 
   /**
@@ -33,15 +146,315 @@ class LLMService {
    */
   setProperties(properties) {
     this.properties = properties;
+    this.cachedSystemPrompt = null; // Rebuild prompt with the new property set
+    this.catalogHash = AnswerCache.hashCatalog(properties);
+    this.answerCache?.invalidate(this.catalogHash);
     console.log(chalk.blue(`📊 Loaded ${properties.length} properties into AI context`));
   }
 
+  /**
+   * Set the full-text search function used for retrieval context
+   * Called as retriever(query, k) and must return [{ property, score, snippet }]
+   */
+  setRetriever(retriever) {
+    this.retriever = retriever;
+  }
+
+  /**
+   * Set the lookup used to hydrate cited ids into full property records
+   * Called as resolver(id) and must return the record or null
+   */
+  setPropertyResolver(resolver) {
+    this.propertyResolver = resolver;
+  }
+
+  /**
+   * Clear the conversation memory
+   */
+  resetHistory() {
+    this.history = [];
+    this.turnCount = 0;
+    this.conversationLanguage = null;
+  }
+
+  /**
+   * Language to answer a question in: the configured one, or the detected one
+   * Questions too short to tell ("Bali?") keep the conversation's language
+   * With remember = false the conversation's language is left as it was
+   */
+  resolveLanguage(userQuestion, { remember = true } = {}) {
+    if (this.options.answerLanguage !== 'auto') return this.options.answerLanguage;
+
+    const { language } = this.languageDetector.detect(userQuestion);
+    if (language && remember) this.conversationLanguage = language;
+    return language || this.conversationLanguage || this.options.defaultLanguage;
+  }
+
+  /**
+   * System instruction to answer in a language other than English (null for English)
+   */
+  getLanguageInstruction(language) {
+    if (!language || language === 'en') return null;
+
+    const name = LanguageDetector.nameOf(language);
+    return `The guest is writing in ${name}. Write your whole answer in ${name}, but keep property titles, addresses, ids and prices exactly as they appear in the catalog.`;
+  }
+
+  /**
+   * Remember a completed turn, keeping the ids of properties the answer mentioned
+   */
+  recordTurn(question, answer) {
+    const text = answer.toLowerCase();
+    const propertyIds = this.properties
+      .filter(property => text.includes(property.title.toLowerCase()))
+      .map(property => property.id);
+
+    this.history.push({ question, answer, propertyIds });
+
+    // The latest turn is always kept so follow-ups can see its properties
+    this.history = this.history.slice(-Math.max(this.options.historyTurns, 1));
+  }
+
+  /**
+   * Previous turns as chat messages, trimmed to the turn and token window
+   */
+  getHistoryMessages() {
+    if (this.options.historyTurns <= 0) return [];
+
+    const turns = [];
+    let tokens = 0;
+
+    for (const turn of [...this.history].reverse().slice(0, this.options.historyTurns)) {
+      const turnTokens = this.tokenCounter.count(turn.question) + this.tokenCounter.count(turn.answer);
+      if (tokens + turnTokens > this.options.historyTokens) break;
+      tokens += turnTokens;
+      turns.unshift(turn);
+    }
+
+    return turns.flatMap(turn => [
+      { role: 'user', content: `Question: ${turn.question}` },
+      { role: 'assistant', content: turn.answer }
+    ]);
+  }
+
+  /**
+   * Set the tools the model may call (a PropertyTools instance)
+   */
+  setTools(tools) {
+    this.tools = tools;
+    this.cachedSystemPrompt = null; // Prompt mentions tool availability
+  }
+
+  /**
+   * Whether tool calling is active for requests
+   */
+  toolsEnabled() {
+    return !!(this.tools && this.options.enableTools && this.options.maxToolRounds > 0 && this.provider.supportsTools);
+  }
+
+  /**
+   * Chat completion with a timeout per attempt and retries for transient errors
+   * Returns { message, usage }
+   */
+  async createCompletion(request, onToken = null) {
+    try {
+      const { result, attempts } = await this.retryPolicy.run(
+        signal => this.requestCompletion(request, onToken, signal),
+        {
+          onRetry: ({ attempt, errorClass, wait }) => {
+            console.log(chalk.yellow(`⏳ ${this.provider.label} request failed (${errorClass}), retry ${attempt}/${this.options.maxRetries} in ${wait}ms...`));
+          }
+        }
+      );
+      this.requestAttempts += attempts;
+      return result;
+    } catch (error) {
+      this.requestAttempts += error.attempts || 1;
+      throw error;
+    }
+  }
+
+  /**
+   * Single chat completion request, streamed when a token callback is given
+   * Returns { message, usage }; streamed usage falls back to a local estimate
+   */
+  async requestCompletion(request, onToken, signal) {
+    if (!this.options.stream || !onToken) {
+      const response = await this.provider.createChatCompletion({
+        ...request,
+        stream: false // Ensure we get usage data
+      }, { signal });
+      return { message: response.choices[0]?.message, usage: response.usage || null };
+    }
+
+    const stream = await this.provider.createChatCompletion({
+      ...request,
+      stream: true,
+      stream_options: { include_usage: true }
+    }, { signal });
+
+    let content = '';
+    let usage = null;
+    const toolCalls = [];
+
+    try {
+      for await (const chunk of stream) {
+        if (chunk.usage) usage = chunk.usage;
+
+        const delta = chunk.choices?.[0]?.delta;
+        if (!delta) continue;
+
+        if (delta.content) {
+          content += delta.content;
+          onToken(delta.content);
+        }
+
+        // Tool calls arrive in fragments keyed by index
+        for (const fragment of delta.tool_calls || []) {
+          const call = toolCalls[fragment.index] ||= { id: '', type: 'function', function: { name: '', arguments: '' } };
+          if (fragment.id) call.id = fragment.id;
+          if (fragment.function?.name) call.function.name += fragment.function.name;
+          if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
+        }
+      }
+    } catch (error) {
+      if (content) error.partial = true; // Tokens already reached the screen
+      throw error;
+    }
+
+    const message = {
+      role: 'assistant',
+      content: content || null,
+      ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {})
+    };
+
+    return { message, usage: usage || this.estimateUsage(request.messages, message, request.model) };
+  }
+
+  /**
+   * Local token count when the API reports no usage
+   */
+  estimateUsage(messages, message, model) {
+    const promptTokens = this.tokenCounter.countMessages(messages, model);
+    const completionTokens = this.tokenCounter.count(message.content || '', model) +
+      (message.tool_calls ? this.tokenCounter.count(JSON.stringify(message.tool_calls), model) : 0);
+
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens,
+      estimated: true
+    };
+  }
+
+  /**
+   * Call the model, executing tool calls until it answers or the round cap is hit
+   * After the last allowed round the model is forced to answer without tools
+   * requestOptions are extra request fields (e.g. response_format) sent on every round
+   */
+  async runToolLoop(messages, onToken = null, requestOptions = {}) {
+    const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+    const toolCalls = [];
+    const useTools = this.toolsEnabled();
+    let hasUsage = false;
+
+    for (let round = 0; ; round++) {
+      const allowTools = useTools && round < this.options.maxToolRounds;
+
+      const response = await this.createCompletion({
+        model: this.options.model,
+        temperature: this.options.temperature,
+        max_tokens: this.options.maxTokens,
+        messages,
+        ...requestOptions,
+        ...(useTools ? { tools: this.tools.getDefinitions(), tool_choice: allowTools ? 'auto' : 'none' } : {})
+      }, onToken);
+
+      if (response.usage) {
+        hasUsage = true;
+        usage.prompt_tokens += response.usage.prompt_tokens || 0;
+        usage.completion_tokens += response.usage.completion_tokens || 0;
+        usage.total_tokens += response.usage.total_tokens || 0;
+        if (response.usage.estimated) usage.estimated = true;
+
+        // Prompt-cache hits are billed at the cached-input rate
+        const cachedTokens = response.usage.prompt_tokens_details?.cached_tokens || 0;
+        if (cachedTokens > 0) {
+          usage.prompt_tokens_details = { cached_tokens: (usage.prompt_tokens_details?.cached_tokens || 0) + cachedTokens };
+        }
+      }
+
+      const message = response.message;
+      if (!allowTools || !message?.tool_calls?.length) {
+        return { message, usage: hasUsage ? usage : null, toolCalls, rounds: round };
+      }
+
+      messages.push(message);
+      for (const call of message.tool_calls) {
+        const result = this.tools.execute(call.function.name, call.function.arguments);
+
+        toolCalls.push({
+          round: round + 1,
+          name: call.function.name,
+          arguments: call.function.arguments,
+          error: result.error || null
+        });
+        if (process.env.DEBUG_MODE === 'true') {
+          console.log(chalk.gray(`🔧 Tool call (round ${round + 1}): ${call.function.name}(${call.function.arguments})${result.error ? ` → ${result.error}` : ''}`));
+        }
+
+        messages.push({
+          role: 'tool',
+          tool_call_id: call.id,
+          content: JSON.stringify(result)
+        });
+      }
+    }
+  }
+
+  /**
+   * Run full-text retrieval for a question (empty when no retriever is set)
+   */
+  retrieve(userQuestion) {
+    if (!this.retriever || this.options.retrievalTopK <= 0) return [];
+
+    try {
+      return this.retriever(userQuestion, Math.max(this.options.maxCandidates, this.options.retrievalTopK));
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️ Search failed, continuing without retrieval context: ${error.message}`));
+      return [];
+    }
+  }
+
+  /**
+   * Build the user message, prefixed with excerpts from the best search hits
+   */
+  buildUserMessage(userQuestion, hits) {
+    if (hits.length === 0) return `Question: ${userQuestion}`;
+
+    const excerpts = hits.map(({ property, snippet }) =>
+      `- Property ${property.index} (${property.title}): "${snippet}"`
+    ).join('\n');
+
+    return `Relevant listing details (full-text search matches for this question):
+${excerpts}
+
+Question: ${userQuestion}`;
+  }
+
   /**
    * Generate system prompt with property data
+   * When a pre-filter selection is given, only its candidates are included
    */
-  generateSystemPrompt() {
-    const propertyData = this.properties.map(property => {
-      return `Property ${property.index}: ${property.title}
+  generateSystemPrompt(properties = this.properties, selection = null, { compact = false } = {}) {
+    // Compact summaries drop the description and address to fit small context windows
+    const propertyData = properties.map(property => {
+      return compact
+        ? `Property ${property.index}: ${property.title}
+- Location: ${property.location}
+- Price: ${property.priceDisplay}
+- Facilities: ${property.facilitiesText}`
+        : `Property ${property.index}: ${property.title}
 - Location: ${property.location}
 - Price: ${property.priceDisplay}
 - Description: ${property.description}
@@ -49,116 +462,576 @@ class LLMService {
 - Address: ${property.address}`;
     }).join('\n\n');
 
-    return `You are a helpful and knowledgeable rental property assistant. You have access to ${this.properties.length} rental properties and can answer questions about them quickly and accurately.
+    const requirements = selection ? this.queryFilter.describe(selection.constraints) : '';
+    let overview = `You have access to ${this.properties.length} rental properties and can answer questions about them quickly and accurately.`;
+    let scopeRule = `If asked about properties not in the database, politely explain you only have information about the ${this.properties.length} properties listed`;
+
+    if (selection && selection.totalMatches === 0) {
+      overview = `The catalog has ${this.properties.length} rental properties, but NONE of them match the guest's requirements (${requirements}).`;
+      scopeRule = 'No property matches the requirements: say so clearly, never suggest a property that breaks them, and invite the guest to relax their criteria';
+    } else if (selection && !this.queryFilter.hasFilters(selection.constraints)) {
+      overview = `The catalog has ${this.properties.length} rental properties; the ${properties.length} most relevant to this question are listed below${requirements ? ` (${requirements})` : ''}.`;
+      scopeRule = `Only the ${properties.length} most relevant properties are shown; if the guest wants something else, invite them to be more specific`;
+    } else if (selection) {
+      const shown = properties.length < selection.totalMatches ? `the top ${properties.length} are` : 'all are';
+      overview = `The catalog has ${this.properties.length} rental properties. ${selection.totalMatches} match the guest's requirements${requirements ? ` (${requirements})` : ''} and ${shown} listed below, already filtered and ranked.`;
+      scopeRule = 'Only recommend properties listed above; they are the ones that satisfy the guest\'s requirements';
+    }
+
+    return this.promptTemplates.render(this.promptTemplate, {
+      persona: this.options.promptPersona,
+      overview,
+      propertyCount: this.properties.length,
+      propertyBlock: propertyData || '(no matching properties)',
+      scopeRule,
+      toolRule: this.toolsEnabled() ? '- Use the search_properties, get_property and compare_properties tools when you need full descriptions, other properties from the catalog, or a side-by-side comparison' : ''
+    });
+  }
+
+  /**
+   * System prompt for the properties that made it into the context budget
+   * Only the untrimmed full-catalog prompt is cacheable
+   */
+  buildSystemPrompt(properties, selection, compact) {
+    if (selection) {
+      return this.generateSystemPrompt(properties, selection, { compact });
+    }
+
+    if (compact || properties.length < this.properties.length) {
+      // Present a trimmed catalog as the most relevant part of it
+      return this.generateSystemPrompt(properties, { constraints: {}, totalMatches: this.properties.length, candidates: properties }, { compact });
+    }
+
+    // Use cached system prompt if enabled, otherwise generate fresh
+    const systemPrompt = this.options.cacheSystemPrompt && this.cachedSystemPrompt
+      ? this.cachedSystemPrompt
+      : this.generateSystemPrompt();
 
-PROPERTY DATABASE:
-${propertyData}
+    // Cache the system prompt for future use if caching is enabled
+    if (this.options.cacheSystemPrompt && !this.cachedSystemPrompt) {
+      this.cachedSystemPrompt = systemPrompt;
+    }
+    return systemPrompt;
+  }
 
-INSTRUCTIONS:
-- Answer questions about rental properties using ONLY the data provided above
-- Be concise but informative in your responses
-- Always mention specific property details (price, location, facilities) when relevant
-- If asked about properties not in the database, politely explain you only have information about the ${this.properties.length} properties listed
-- For location-based queries, suggest the most relevant properties
-- For budget-based queries, recommend properties within the specified price range
-- For facility-based queries (bedrooms, bathrooms, parking), match user needs to property facilities
-- Always format prices as shown (e.g., $123/night)
-- Be helpful and enthusiastic about the properties
+  /**
+   * Properties ordered by search relevance, unscored ones keeping catalog order
+   */
+  rankByRelevance(properties, hits) {
+    const relevance = new Map(hits.map(hit => [hit.property.id, hit.score]));
+    return [...properties].sort((a, b) => (relevance.get(b.id) || 0) - (relevance.get(a.id) || 0));
+  }
 
-RESPONSE FORMAT:
-- Keep responses under 200 words for quick reading and faster generation
-- Use bullet points for multiple property recommendations
-- Include property names, locations, and prices
-- Mention key facilities that match the user's needs
-- Be concise but helpful - prioritize speed and clarity
-- Write in a friendly, conversational tone
-- Use encouraging language and show genuine enthusiasm for helping
-- Add personal touches like "Perfect for you!" or "You'll love this!"
-- Show empathy if no exact matches found: "I understand you're looking for..."`;
+  /**
+   * Retrieval hits for properties the model can see in the prompt
+   */
+  visibleHits(hits, properties) {
+    const visibleIds = new Set(properties.map(property => property.id));
+    return hits
+      .filter(hit => visibleIds.has(hit.property.id))
+      .slice(0, this.options.retrievalTopK);
+  }
+
+  /**
+   * Name, version and content fingerprint of the active prompt template
+   * Stamped on every AI response so answer quality can be traced to prompt changes
+   */
+  getPromptInfo() {
+    const { name, version, fingerprint } = this.promptTemplate;
+    return { name, version, fingerprint };
+  }
+
+  /**
+   * Run the deterministic pre-filter for a question
+   * Returns null when the full catalog should be sent (no constraints and it fits)
+   */
+  selectCandidates(userQuestion, hits = []) {
+    if (!this.options.prefilter) return null;
+
+    const relevance = new Map(hits.map(hit => [hit.property.id, hit.score]));
+
+    // Keep properties from the previous answer in view for follow-ups ("the second one")
+    const previous = this.history[this.history.length - 1];
+    for (const id of previous?.propertyIds || []) {
+      relevance.set(id, (relevance.get(id) || 0) + 1000);
+    }
+
+    const selection = this.queryFilter.apply(userQuestion, this.properties, relevance);
+    const { constraints } = selection;
+    const unconstrained = !this.queryFilter.hasFilters(constraints) && !constraints.sort;
+
+    if (unconstrained && this.properties.length <= this.options.maxCandidates) {
+      return null;
+    }
+
+    if (process.env.DEBUG_MODE === 'true') {
+      console.log(chalk.gray(`🔍 Pre-filter: ${this.queryFilter.describe(constraints) || 'no constraints'} → ${selection.totalMatches} matches, ${selection.candidates.length} sent to AI`));
+    }
+
+    return selection;
   }
 
   /**
    * Process user question with advanced prompt engineering
+   * With streaming enabled, onToken(text) receives the answer as it is generated
+   * model replaces the routed model and offline forces the rule engine (used by spending budgets)
    */
-  async answerQuestion(userQuestion) {
+  async answerQuestion(userQuestion, { onToken = null, format = this.options.responseFormat, model: modelOverride = null, offline = false } = {}) {
+    if (this.options.offline || offline) {
+      return this.answerOffline(userQuestion, { format });
+    }
+
+    this.requestAttempts = 0;
+    let route = null;
+
     try {
-      console.log(chalk.yellow('🧠 Processing question with AI...'));
-      
       if (!this.properties || this.properties.length === 0) {
         throw new Error('No property data loaded. Please load properties first.');
       }
 
-      // Use cached system prompt if enabled, otherwise generate fresh
-      const systemPrompt = this.options.cacheSystemPrompt && this.cachedSystemPrompt 
-        ? this.cachedSystemPrompt 
-        : this.generateSystemPrompt();
-      
-      // Cache the system prompt for future use if caching is enabled
-      if (this.options.cacheSystemPrompt && !this.cachedSystemPrompt) {
-        this.cachedSystemPrompt = systemPrompt;
+      // Without the answer cache's follow-up check, any question mid-conversation may be one
+      const language = this.resolveLanguage(userQuestion);
+      const followUp = this.history.length > 0 && (!this.answerCache || this.answerCache.isFollowUp(userQuestion));
+
+      route = this.routeQuestion(userQuestion, { followUp, language });
+      if (modelOverride && route.target !== 'offline') {
+        route = { ...route, target: modelOverride, reason: `${route.reason}, budget downgrade` };
       }
-      
-      const response = await this.openai.chat.completions.create({
-        model: this.options.model,
-        temperature: this.options.temperature,
-        max_tokens: this.options.maxTokens,
-        stream: false, // Ensure we get usage data
-        messages: [
+      if (route.target === 'offline') {
+        return this.answerOffline(userQuestion, { format, route });
+      }
+      const model = route.target;
+
+      console.log(chalk.yellow('🧠 Processing question with AI...'));
+
+      // Follow-ups depend on the conversation, so only self-contained questions use the cache
+      // A new template version or an edited template body never reuses old answers
+      const prompt = this.getPromptInfo();
+      const cacheContext = { model, promptVersion: `${prompt.name}@${prompt.version}:${prompt.fingerprint}`, format, language, catalogHash: this.catalogHash };
+      const cacheable = !!this.answerCache && !followUp;
+      const cached = cacheable ? this.answerCache.get(userQuestion, cacheContext) : null;
+      if (cached) {
+        return this.serveCachedAnswer(userQuestion, cached, route);
+      }
+
+      // Degraded mode: the provider keeps failing, so don't wait on it until the cooldown passes
+      if (!this.circuitBreaker.canRequest()) {
+        const error = new Error(`${this.provider.label} is unavailable after repeated failures`);
+        error.errorClass = 'circuit_open';
+        throw error;
+      }
+
+      const hits = this.retrieve(userQuestion);
+      const selection = this.selectCandidates(userQuestion, hits);
+
+      // JSON answers are parsed before they are shown, so they are never streamed
+      const structuredMode = format === 'json';
+      const languageInstruction = this.getLanguageInstruction(language);
+
+      // Shrink the prompt if it would not leave maxTokens of the context window for the answer
+      // (properties are dropped from the end, so the full catalog is ranked by relevance first)
+      const historyMessages = this.getHistoryMessages();
+      const budget = this.contextBudget.fit({
+        properties: selection ? selection.candidates : this.rankByRelevance(this.properties, hits),
+        historyMessages,
+        model,
+        contextWindow: this.options.contextWindow || TokenCounter.contextWindow(model),
+        extraTokens: this.toolsEnabled() ? this.tokenCounter.countTools(this.tools.getDefinitions(), model) : 0,
+        build: ({ properties, compact, historyMessages }) => [
           {
             role: 'system',
-            content: systemPrompt
+            content: this.buildSystemPrompt(properties, selection, compact)
           },
+          ...(structuredMode ? [{ role: 'system', content: this.structuredParser.getInstructions(properties) }] : []),
+          ...(languageInstruction ? [{ role: 'system', content: languageInstruction }] : []),
+          ...historyMessages,
           {
             role: 'user',
-            content: `Question: ${userQuestion}`
+            content: this.buildUserMessage(userQuestion, this.visibleHits(hits, properties))
           }
         ]
       });
 
-      const answer = response.choices[0]?.message?.content;
+      const { messages, report: context } = budget;
+      const contextHits = this.visibleHits(hits, budget.properties);
+      const historyTurns = historyMessages.length / 2 - context.droppedHistoryTurns;
+
+      if (context.trimmed) {
+        console.log(chalk.yellow(`✂️ Context budget: prompt trimmed to an estimated ${context.promptTokens} tokens to fit ${model}'s ${context.contextWindow}-token window (${context.compact ? 'property summaries, ' : ''}${context.droppedHistoryTurns} earlier turns and ${context.droppedProperties} properties dropped)`));
+      }
+
+      const requestOptions = {
+        model,
+        ...(structuredMode && this.provider.supportsJsonMode ? { response_format: { type: 'json_object' } } : {})
+      };
+
+      let streamed = false;
+      const handleToken = onToken && !structuredMode ? token => {
+        streamed = true;
+        onToken(token);
+      } : null;
+
+      const result = await this.runToolLoop(messages, handleToken, requestOptions);
       
-      if (!answer) {
+      if (!result.message?.content) {
         throw new Error('No response received from AI');
       }
 
-      console.log(chalk.green('✅ AI response generated successfully'));
+      const { answer, usage, toolCalls, rounds, structured } = structuredMode
+        ? await this.completeStructuredAnswer(messages, result, requestOptions)
+        : { ...result, answer: result.message.content, structured: null };
+
+      this.circuitBreaker.recordSuccess();
+
+      // The streamed answer is already on screen, so don't interrupt it
+      if (!streamed) {
+        console.log(chalk.green('✅ AI response generated successfully'));
+      }
+
+      this.recordTurn(userQuestion, answer.trim());
+      this.turnCount++;
+
+      const grounding = this.checkGrounding(answer.trim(), userQuestion);
       
       // Debug: Log usage data (only in debug mode)
       const isDebugMode = process.env.DEBUG_MODE === 'true';
       if (isDebugMode) {
-        if (response.usage) {
-          console.log(chalk.gray(`🔍 Tokens - Prompt: ${response.usage.prompt_tokens}, Completion: ${response.usage.completion_tokens}, Total: ${response.usage.total_tokens}`));
+        if (usage) {
+          console.log(chalk.gray(`🔍 Tokens - Prompt: ${usage.prompt_tokens}, Completion: ${usage.completion_tokens}, Total: ${usage.total_tokens}${usage.estimated ? ' (estimated)' : ''}`));
         } else {
-          console.log(chalk.yellow('⚠️ No usage data received from OpenAI'));
+          console.log(chalk.yellow(`⚠️ No usage data received from ${this.provider.label}`));
         }
       }
       
-      return {
+      const response = {
         question: userQuestion,
         answer: answer.trim(),
-        tokensUsed: response.usage?.total_tokens || 0,
-        usage: response.usage || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
-        model: this.options.model,
+        tokensUsed: usage?.total_tokens || 0,
+        usage: usage || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+        model,
+        route,
+        provider: this.provider.name,
+        billable: this.provider.billable,
+        prompt,
+        language,
+        prefilter: selection ? {
+          constraints: selection.constraints,
+          totalMatches: selection.totalMatches,
+          candidates: budget.properties.length
+        } : null,
+        retrieval: contextHits.map(hit => ({ id: hit.property.id, score: hit.score })),
+        toolCalls,
+        toolRounds: rounds,
+        streamed,
+        grounding,
+        format: structuredMode ? 'json' : 'text',
+        structured,
+        attempts: this.requestAttempts,
+        errorClass: null,
+        turn: this.turnCount,
+        historyTurns,
+        context,
         timestamp: new Date().toISOString()
       };
+
+      if (cacheable) {
+        this.answerCache.set(userQuestion, cacheContext, {
+          answer: response.answer,
+          usage: response.usage,
+          model: response.model,
+          provider: response.provider,
+          billable: response.billable,
+          prompt: response.prompt,
+          language: response.language,
+          prefilter: response.prefilter,
+          retrieval: response.retrieval,
+          grounding: response.grounding,
+          format: response.format,
+          structured: response.structured
+        });
+      }
+
+      return response;
       
     } catch (error) {
-      console.error(chalk.red('❌ Error processing question:'), error.message);
+      const { errorClass } = this.retryPolicy.classify(error);
+
+      if (errorClass === 'circuit_open') {
+        console.log(chalk.yellow(`🔌 ${error.message}, next retry in ${Math.ceil(this.circuitBreaker.getState().retryInMs / 1000)}s`));
+      } else {
+        console.error(chalk.red(`❌ Error processing question (${errorClass}):`), error.message);
+
+        // Only failed provider requests count toward the circuit breaker
+        if (error.attempts && this.circuitBreaker.recordFailure()) {
+          console.log(chalk.red(`🔌 ${this.provider.label} failed ${this.circuitBreaker.failures} times in a row, switching to degraded mode for ${Math.round(this.options.circuitCooldown / 1000)}s`));
+        }
+      }
+
+      const failure = {
+        route,
+        error: error.message,
+        errorClass,
+        attempts: this.requestAttempts,
+        partial: !!error.partial, // Part of the answer was already streamed to the user
+        degraded: this.circuitBreaker.getState().state === 'open'
+      };
+
+      // Answer from the catalog instead when the AI is unavailable
+      if (this.options.offlineFallback && this.properties.length > 0) {
+        console.log(chalk.yellow('🛟 Falling back to offline answer from the catalog'));
+        return { ...this.answerOffline(userQuestion, { format }), fallback: true, ...failure };
+      }
       
       // Return fallback response for better user experience
       return {
         question: userQuestion,
         answer: "I apologize, but I'm having trouble processing your question right now. Please try asking about specific properties, locations, price ranges, or facilities you're looking for.",
-        error: error.message,
+        ...failure,
         timestamp: new Date().toISOString()
       };
     }
   }
 
+  /**
+   * Answer from the cache: no model call, the original usage is reported as saved
+   */
+  serveCachedAnswer(userQuestion, cached, route = null) {
+    console.log(chalk.green('⚡ Answer served from cache'));
+
+    this.recordTurn(userQuestion, cached.answer);
+    this.turnCount++;
+
+    return {
+      ...cached,
+      question: userQuestion,
+      route,
+      tokensUsed: 0,
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+      cached: true,
+      savedUsage: cached.usage,
+      attempts: 0,
+      errorClass: null,
+      toolCalls: [],
+      toolRounds: 0,
+      streamed: false,
+      turn: this.turnCount,
+      historyTurns: 0,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Add up token usage from several requests (null when none reported usage)
+   */
+  mergeUsage(first, second) {
+    if (!first || !second) return first || second || null;
+
+    return {
+      prompt_tokens: first.prompt_tokens + second.prompt_tokens,
+      completion_tokens: first.completion_tokens + second.completion_tokens,
+      total_tokens: first.total_tokens + second.total_tokens,
+      ...(first.prompt_tokens_details || second.prompt_tokens_details
+        ? { prompt_tokens_details: { cached_tokens: (first.prompt_tokens_details?.cached_tokens || 0) + (second.prompt_tokens_details?.cached_tokens || 0) } }
+        : {}),
+      ...(first.estimated || second.estimated ? { estimated: true } : {})
+    };
+  }
+
+  /**
+   * Cited ids with their full property records, best first
+   */
+  hydrateRecommendations(recommendations) {
+    return recommendations.map((recommendation, index) => ({
+      rank: index + 1,
+      ...recommendation,
+      property: this.propertyResolver?.(recommendation.id) ||
+        this.properties.find(property => property.id === recommendation.id) ||
+        null
+    }));
+  }
+
+  /**
+   * Validate a JSON answer, asking the model once to correct invalid output
+   * Returns { answer, usage, toolCalls, rounds, structured } across both attempts
+   */
+  async completeStructuredAnswer(messages, result, requestOptions) {
+    let { usage, rounds } = result;
+    const toolCalls = [...result.toolCalls];
+    let content = result.message.content;
+    let parsed = this.structuredParser.parse(content, this.properties);
+    let attempts = 1;
+
+    if (parsed.errors.length > 0) {
+      console.log(chalk.yellow(`⚠️ Invalid JSON answer (${parsed.errors[0].field}: ${parsed.errors[0].reason}), retrying once...`));
+
+      messages.push(
+        { role: 'assistant', content },
+        {
+          role: 'user',
+          content: `Your reply did not match the required JSON format:
+${parsed.errors.map(error => `- ${error.field}: ${error.reason}`).join('\n')}
+Reply again with ONLY the corrected JSON object.`
+        }
+      );
+
+      const retry = await this.runToolLoop(messages, null, requestOptions);
+      attempts++;
+      usage = this.mergeUsage(usage, retry.usage);
+      toolCalls.push(...retry.toolCalls);
+      rounds += retry.rounds;
+      content = retry.message?.content || '';
+      parsed = this.structuredParser.parse(content, this.properties);
+    }
+
+    const value = parsed.value || { summary: '', recommendations: [] };
+    if (parsed.errors.length > 0) {
+      console.log(chalk.yellow(`⚠️ JSON answer still invalid after retry: ${parsed.errors.map(error => `${error.field}: ${error.reason}`).join('; ')}`));
+    }
+
+    return {
+      // Unparseable output is shown as-is so the guest still gets an answer
+      answer: parsed.value ? this.structuredParser.render(value, this.properties) : content,
+      usage,
+      toolCalls,
+      rounds,
+      structured: {
+        valid: parsed.errors.length === 0,
+        attempts,
+        errors: parsed.errors,
+        summary: value.summary,
+        recommendations: this.hydrateRecommendations(value.recommendations)
+      }
+    };
+  }
+
+  /**
+   * Cross-check an answer against the catalog (null when verification is off)
+   */
+  checkGrounding(answer, userQuestion) {
+    if (!this.options.verifyGrounding) return null;
+
+    const report = this.groundingVerifier.verify(answer, this.properties, userQuestion);
+
+    if (process.env.DEBUG_MODE === 'true') {
+      console.log(chalk.gray(`🔍 Grounding: ${report.verified.length} verified, ${report.mismatched.length} mismatched, ${report.unknown.length} unknown`));
+    }
+
+    return report;
+  }
+
+  /**
+   * Choose the route (and model) for a question
+   * Returns { name, target, reason }; target is a model name or 'offline'
+   */
+  routeQuestion(userQuestion, { followUp = false, language = 'en' } = {}) {
+    if (!this.options.routing) {
+      return { name: 'default', target: this.options.model, reason: 'routing disabled' };
+    }
+
+    const route = this.router.route(userQuestion, this.properties, { followUp, language });
+    if (process.env.DEBUG_MODE === 'true') {
+      console.log(chalk.gray(`🚦 Route: ${route.name} → ${route.target} (${route.reason})`));
+    }
+    return route;
+  }
+
+  /**
+   * Pre-flight estimate of the tokens a question will use, without calling the model
+   * Counts the full catalog prompt (capped at the context window) and assumes the answer
+   * uses all of maxTokens, so the estimate errs on the high side
+   * Returns { model, billable, offline, cached, inputTokens, outputTokens }
+   */
+  estimateQuestion(userQuestion, { format = this.options.responseFormat, model: modelOverride = null } = {}) {
+    const free = { model: 'rule-based', billable: false, offline: true, cached: false, inputTokens: 0, outputTokens: 0 };
+    if (this.options.offline || !this.properties || this.properties.length === 0) return free;
+
+    // A preview only: the conversation's language and the cache statistics stay untouched
+    const language = this.resolveLanguage(userQuestion, { remember: false });
+    const followUp = this.history.length > 0 && (!this.answerCache || this.answerCache.isFollowUp(userQuestion));
+    const route = this.options.routing
+      ? this.router.route(userQuestion, this.properties, { followUp, language })
+      : { target: this.options.model };
+    if (route.target === 'offline') return free;
+
+    const model = modelOverride || route.target;
+    if (this.answerCache && !followUp) {
+      const prompt = this.getPromptInfo();
+      const cacheContext = { model, promptVersion: `${prompt.name}@${prompt.version}:${prompt.fingerprint}`, format, language, catalogHash: this.catalogHash };
+      if (this.answerCache.has(userQuestion, cacheContext)) {
+        return { model, billable: this.provider.billable, offline: false, cached: true, inputTokens: 0, outputTokens: 0 };
+      }
+    }
+
+    const contextWindow = this.options.contextWindow || TokenCounter.contextWindow(model);
+    const promptTokens = this.tokenCounter.countMessages([
+      { role: 'system', content: this.buildSystemPrompt(this.properties, null, false) },
+      ...this.getHistoryMessages(),
+      { role: 'user', content: userQuestion }
+    ], model) + (this.toolsEnabled() ? this.tokenCounter.countTools(this.tools.getDefinitions(), model) : 0);
+
+    return {
+      model,
+      billable: this.provider.billable,
+      offline: false,
+      cached: false,
+      inputTokens: Math.min(promptTokens, contextWindow - this.options.maxTokens),
+      outputTokens: this.options.maxTokens
+    };
+  }
+
+  /**
+   * Answer with the rule-based engine (no model call, no tokens)
+   */
+  answerOffline(userQuestion, { format = this.options.responseFormat, route = null } = {}) {
+    const hits = this.retrieve(userQuestion);
+    const result = this.offlineEngine.answer(userQuestion, this.properties, hits);
+
+    this.recordTurn(userQuestion, result.answer);
+    this.turnCount++;
+
+    return {
+      question: userQuestion,
+      answer: result.answer,
+      tokensUsed: 0,
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+      model: 'rule-based',
+      provider: 'offline',
+      billable: false,
+      offline: true,
+      route,
+      prompt: null,
+      language: 'en', // Rule-based answers are always in English
+      prefilter: {
+        constraints: result.constraints,
+        totalMatches: result.totalMatches,
+        candidates: result.propertyIds.length
+      },
+      retrieval: hits.slice(0, this.options.retrievalTopK).map(hit => ({ id: hit.property.id, score: hit.score })),
+      toolCalls: [],
+      toolRounds: 0,
+      attempts: 0,
+      errorClass: null,
+      streamed: false,
+      grounding: this.checkGrounding(result.answer, userQuestion),
+      format: format === 'json' ? 'json' : 'text',
+      structured: format === 'json' ? {
+        valid: true,
+        attempts: 0,
+        errors: [],
+        summary: result.answer.split('\n')[0],
+        recommendations: this.hydrateRecommendations(result.propertyIds.map(id => ({ id, reason: 'Matches your question in the catalog' })))
+      } : null,
+      turn: this.turnCount,
+      historyTurns: 0,
+      timestamp: new Date().toISOString()
+    };
+  }
+
   /**
    * Get suggested questions based on available properties
+   * Translated templates may be given, using {{budget}}, {{firstLocation}} and {{secondLocation}}
    */
-  getSuggestedQuestions() {
+  getSuggestedQuestions(templates = null) {
     if (!this.properties || this.properties.length === 0) {
       return [];
     }
@@ -167,39 +1040,46 @@ RESPONSE FORMAT:
     const prices = this.properties.map(p => p.price).filter(p => p > 0);
     const minPrice = Math.min(...prices);
     const maxPrice = Math.max(...prices);
+    const values = {
+      budget: Math.round((minPrice + maxPrice) / 2),
+      firstLocation: locations[0],
+      secondLocation: locations[1] || locations[0]
+    };
+
+    if (templates) {
+      return templates.map(template => template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => String(values[name] ?? '')));
+    }
 
     return [
       "What properties do you have available?",
-      `Show me properties under $${Math.round((minPrice + maxPrice) / 2)}/night`,
-      `What properties are available in ${locations[0]}?`,
+      `Show me properties under $${values.budget}/night`,
+      `What properties are available in ${values.firstLocation}?`,
       "I need a property with at least 2 bedrooms",
       "What's the cheapest property available?",
       "Show me luxury properties",
       "I need a place with parking",
-      `Do you have anything in ${locations[1] || locations[0]}?`,
+      `Do you have anything in ${values.secondLocation}?`,
       "What properties have the most bathrooms?",
       "I'm looking for a romantic getaway"
     ];
   }
 
   /**
-   * Validate API key and connection
+   * Validate API key and connection for the configured provider
    */
   async validateConnection() {
+    if (this.options.offline) return true;
+
     try {
-      console.log(chalk.yellow('🔑 Validating OpenAI connection...'));
+      console.log(chalk.yellow(`🔑 Validating ${this.provider.label} connection...`));
       
-      await this.openai.chat.completions.create({
-        model: 'gpt-3.5-turbo',
-        messages: [{ role: 'user', content: 'Test' }],
-        max_tokens: 1
-      });
+      await this.retryPolicy.run(signal => this.provider.validateConnection({ signal }));
       
-      console.log(chalk.green('✅ OpenAI connection validated'));
+      console.log(chalk.green(`✅ ${this.provider.label} connection validated`));
       return true;
       
     } catch (error) {
-      console.error(chalk.red('❌ OpenAI connection failed:'), error.message);
+      console.error(chalk.red(`❌ ${this.provider.label} connection failed:`), error.message);
       return false;
     }
   }
@@ -209,9 +1089,28 @@ RESPONSE FORMAT:
    */
   getStats() {
     return {
+      provider: this.provider.name,
       model: this.options.model,
       temperature: this.options.temperature,
       maxTokens: this.options.maxTokens,
+      stream: this.options.stream,
+      offline: this.options.offline,
+      verifyGrounding: this.options.verifyGrounding,
+      responseFormat: this.options.responseFormat,
+      prompt: this.getPromptInfo(),
+      answerLanguage: this.options.answerLanguage,
+      contextWindow: this.contextBudget.options.contextWindow,
+      routing: this.options.routing ? this.router.targets : null,
+      answerCache: this.answerCache?.getStats() || null,
+      responseTimeout: this.options.responseTimeout,
+      maxRetries: this.options.maxRetries,
+      circuit: this.circuitBreaker.getState(),
+      prefilter: this.options.prefilter,
+      maxCandidates: this.options.maxCandidates,
+      retrievalTopK: this.options.retrievalTopK,
+      toolsEnabled: this.toolsEnabled(),
+      maxToolRounds: this.options.maxToolRounds,
+      historyTurns: this.history.length,
       propertiesLoaded: this.properties.length,
       lastUpdate: this.properties.length > 0 ? new Date().toISOString() : null
     };
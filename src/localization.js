@@ -0,0 +1,108 @@
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * User-facing CLI strings from locales/<locale>.json
+ * Missing keys (or a missing bundle) fall back to English
+ */
+class Localization {
+  static FALLBACK = 'en';
+
+  constructor(options = {}) {
+    this.directory = options.directory
+      ? resolve(join(__dirname, '..'), options.directory)
+      : join(__dirname, '..', 'locales');
+
+    this.fallback = this.loadBundle(Localization.FALLBACK) || {};
+
+    const requested = (options.locale || Localization.FALLBACK).toLowerCase().split(/[-_.]/)[0];
+    const bundle = requested === Localization.FALLBACK ? this.fallback : this.loadBundle(requested);
+    if (!bundle) {
+      console.log(chalk.yellow(`⚠️ No locale bundle for "${requested}" (available: ${this.available().join(', ')}), using English`));
+    }
+
+    this.locale = bundle ? requested : Localization.FALLBACK;
+    this.bundle = bundle || this.fallback;
+  }
+
+  /**
+   * Locale codes with a bundle in the locales directory
+   */
+  available() {
+    if (!existsSync(this.directory)) return [];
+    return readdirSync(this.directory)
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -5))
+      .sort();
+  }
+
+  /**
+   * Read one bundle, or null when it is missing or unreadable
+   */
+  loadBundle(locale) {
+    const file = join(this.directory, `${locale}.json`);
+    if (!existsSync(file)) return null;
+
+    try {
+      return JSON.parse(readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️ Ignoring unreadable locale bundle ${locale}.json: ${error.message}`));
+      return null;
+    }
+  }
+
+  /**
+   * Look up a dotted key ("session.reset") in a bundle
+   */
+  lookup(bundle, key) {
+    return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), bundle);
+  }
+
+  /**
+   * Fill {{variable}} placeholders
+   */
+  interpolate(text, variables) {
+    return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, variable) => String(variables[variable] ?? ''));
+  }
+
+  /**
+   * Translated value for a key: the active bundle, then English, then the key itself
+   */
+  resolve(key) {
+    return this.lookup(this.bundle, key) ?? this.lookup(this.fallback, key) ?? key;
+  }
+
+  /**
+   * Translated string for a key
+   */
+  t(key, variables = {}) {
+    const value = this.resolve(key);
+    return this.interpolate(Array.isArray(value) ? value.join('\n') : String(value), variables);
+  }
+
+  /**
+   * Translated list of lines for a key
+   */
+  lines(key, variables = {}) {
+    const value = this.resolve(key);
+    return (Array.isArray(value) ? value : [String(value)]).map(line => this.interpolate(line, variables));
+  }
+
+  /**
+   * Words that trigger a CLI command: the English ones always work, plus the locale's own
+   */
+  commandWords(command) {
+    const words = [
+      ...(this.lookup(this.fallback, `commands.${command}`) || []),
+      ...(this.lookup(this.bundle, `commands.${command}`) || [])
+    ];
+    return [...new Set(words.map(word => word.toLowerCase()))];
+  }
+}
+
+export default Localization;
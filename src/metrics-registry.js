@@ -0,0 +1,103 @@
+/**
+ * In-process counters and histograms rendered in the OpenMetrics text format
+ * Metrics are defined once (define is idempotent) and updated with inc/observe;
+ * every series is keyed on its label values
+ */
+class MetricsRegistry {
+  // Response-time buckets in seconds, around the CLI's typical 1-2s answers
+  static DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 1.5, 2.5, 5, 10, 30];
+
+  constructor(options = {}) {
+    this.prefix = options.prefix ?? 'chatbot_';
+    this.metrics = new Map();
+  }
+
+  /**
+   * Define a metric: { type: 'counter' | 'histogram', help, unit, buckets }
+   */
+  define(name, { type = 'counter', help = '', unit = null, buckets = MetricsRegistry.DEFAULT_BUCKETS } = {}) {
+    if (!this.metrics.has(name)) {
+      this.metrics.set(name, { name: `${this.prefix}${name}`, type, help, unit, buckets: [...buckets].sort((a, b) => a - b), series: new Map() });
+    }
+    return this;
+  }
+
+  /**
+   * Series of a metric for a set of labels, created on first use
+   */
+  series(name, labels) {
+    const metric = this.metrics.get(name);
+    if (!metric) throw new Error(`Unknown metric "${name}"`);
+
+    const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null).sort(([a], [b]) => a.localeCompare(b));
+    const key = JSON.stringify(entries);
+    if (!metric.series.has(key)) {
+      metric.series.set(key, metric.type === 'histogram'
+        ? { labels: entries, counts: metric.buckets.map(() => 0), sum: 0, count: 0 }
+        : { labels: entries, value: 0 });
+    }
+    return { metric, series: metric.series.get(key) };
+  }
+
+  /**
+   * Add to a counter (negative amounts are ignored, counters only go up)
+   */
+  inc(name, labels = {}, amount = 1) {
+    if (!(amount > 0)) return;
+    this.series(name, labels).series.value += amount;
+  }
+
+  /**
+   * Record a histogram observation
+   */
+  observe(name, labels = {}, value) {
+    const { metric, series } = this.series(name, labels);
+    metric.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Label set as {name="value",...}, escaping backslashes, quotes and newlines
+   */
+  formatLabels(entries) {
+    if (entries.length === 0) return '';
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${entries.map(([label, value]) => `${label}="${escape(value)}"`).join(',')}}`;
+  }
+
+  /**
+   * All metrics in the OpenMetrics text format, ending with "# EOF"
+   */
+  render() {
+    const lines = [];
+
+    for (const metric of this.metrics.values()) {
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      if (metric.unit) lines.push(`# UNIT ${metric.name} ${metric.unit}`);
+      if (metric.help) lines.push(`# HELP ${metric.name} ${metric.help}`);
+
+      for (const series of metric.series.values()) {
+        if (metric.type === 'counter') {
+          lines.push(`${metric.name}_total${this.formatLabels(series.labels)} ${series.value}`);
+          continue;
+        }
+
+        // Buckets are cumulative: each counts every observation up to its bound
+        metric.buckets.forEach((bound, index) => {
+          lines.push(`${metric.name}_bucket${this.formatLabels([...series.labels, ['le', String(bound)]])} ${series.counts[index]}`);
+        });
+        lines.push(`${metric.name}_bucket${this.formatLabels([...series.labels, ['le', '+Inf']])} ${series.count}`);
+        lines.push(`${metric.name}_sum${this.formatLabels(series.labels)} ${series.sum}`);
+        lines.push(`${metric.name}_count${this.formatLabels(series.labels)} ${series.count}`);
+      }
+    }
+
+    lines.push('# EOF');
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+export default MetricsRegistry;
@@ -0,0 +1,80 @@
+import http from 'http';
+import chalk from 'chalk';
+
+/**
+ * Optional local HTTP endpoint serving a MetricsRegistry at /metrics for Prometheus
+ * It never keeps the process alive and never throws into the CLI: a busy port only logs a warning
+ */
+class MetricsServer {
+  static CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+  constructor(registry, options = {}) {
+    this.registry = registry;
+    this.options = {
+      port: options.port ?? 9464,
+      host: options.host || '127.0.0.1',
+      path: options.path || '/metrics'
+    };
+    this.server = null;
+  }
+
+  /**
+   * Answer a scrape (GET /metrics); anything else is a 404
+   */
+  handle(request, response) {
+    const path = (request.url || '').split('?')[0];
+    if (request.method !== 'GET' || path !== this.options.path) {
+      response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      response.end(`Not found, metrics are at ${this.options.path}\n`);
+      return;
+    }
+
+    response.writeHead(200, { 'Content-Type': MetricsServer.CONTENT_TYPE });
+    response.end(this.registry.render());
+  }
+
+  /**
+   * Start listening; resolves with the bound address, or null when the port is unavailable
+   */
+  start() {
+    if (this.server) return Promise.resolve(this.address());
+
+    return new Promise(resolve => {
+      const server = http.createServer((request, response) => this.handle(request, response));
+
+      server.once('error', error => {
+        console.log(chalk.yellow(`⚠️ Metrics endpoint disabled: ${error.message}`));
+        resolve(null);
+      });
+      server.listen(this.options.port, this.options.host, () => {
+        server.unref(); // Exiting the CLI shouldn't wait for the metrics server
+        this.server = server;
+        resolve(this.address());
+      });
+    });
+  }
+
+  /**
+   * Bound address as { host, port, url }
+   */
+  address() {
+    const { port } = this.server.address();
+    return { host: this.options.host, port, url: `http://${this.options.host}:${port}${this.options.path}` };
+  }
+
+  /**
+   * Stop listening
+   */
+  stop() {
+    if (!this.server) return Promise.resolve();
+
+    const server = this.server;
+    this.server = null;
+    return new Promise(resolve => {
+      server.close(() => resolve());
+      server.closeAllConnections?.(); // Don't wait for idle keep-alive scrapers
+    });
+  }
+}
+
+export default MetricsServer;
@@ -0,0 +1,96 @@
+import QueryFilter from './query-filter.js';
+
+/**
+ * Rule-based answer engine that works without any LLM or network
+ * Handles the common intents (cheapest, most expensive, location, budget, bedrooms, parking)
+ * directly from the catalog and formats bullet-point answers like the AI does
+ */
+class OfflineAnswerEngine {
+  constructor(options = {}) {
+    this.options = {
+      maxResults: options.maxResults || 5
+    };
+    this.queryFilter = new QueryFilter({ maxCandidates: Number.MAX_SAFE_INTEGER });
+  }
+
+  /**
+   * One bullet per property, mirroring the AI response format
+   */
+  formatProperty(property) {
+    return `• ${property.title} - ${property.location} - ${property.priceDisplay} (${property.facilitiesText})`;
+  }
+
+  /**
+   * Opening sentence describing what was matched
+   */
+  describeResults(constraints, totalMatches, shown, catalogSize) {
+    const sort = constraints.sort;
+    const requirements = this.queryFilter.describe({ ...constraints, sort: undefined });
+
+    if (sort && !this.queryFilter.hasFilters(constraints)) {
+      const label = {
+        'price:asc': 'most affordable',
+        'price:desc': 'most expensive',
+        'bedrooms:desc': 'properties with the most bedrooms',
+        'bathrooms:desc': 'properties with the most bathrooms',
+        'parking:desc': 'properties with the most parking'
+      }[`${sort.field}:${sort.direction}`];
+      return `Here are the ${shown} ${label}${label.startsWith('properties') ? '' : ' properties'} out of ${catalogSize}:`;
+    }
+
+    const noun = totalMatches === 1 ? 'property matches' : 'properties match';
+    const top = shown < totalMatches ? ` Here are the top ${shown}:` : '';
+    return `${totalMatches} ${noun} your requirements (${requirements}).${top}`;
+  }
+
+  /**
+   * Answer a question from the formatted catalog
+   * Optional search hits ([{ property, score }]) order results when the question has no explicit sort
+   * Returns { answer, propertyIds, constraints, totalMatches }
+   */
+  answer(question, properties, hits = []) {
+    if (!properties || properties.length === 0) {
+      return {
+        answer: "I don't have any properties loaded right now, so I can't answer that yet. Please try again once the catalog is available.",
+        propertyIds: [],
+        constraints: {},
+        totalMatches: 0
+      };
+    }
+
+    const relevance = new Map(hits.map(hit => [hit.property.id, hit.score]));
+    const { constraints, totalMatches, candidates } = this.queryFilter.apply(question, properties, relevance);
+    const unconstrained = !this.queryFilter.hasFilters(constraints) && !constraints.sort;
+
+    if (totalMatches === 0) {
+      return {
+        answer: `I understand you're looking for ${this.queryFilter.describe(constraints)}, but none of our ${properties.length} properties match. Try relaxing your price, location or facility requirements.`,
+        propertyIds: [],
+        constraints,
+        totalMatches
+      };
+    }
+
+    let intro;
+    let results;
+    if (unconstrained && relevance.size > 0) {
+      results = candidates.filter(property => relevance.has(property.id)).slice(0, this.options.maxResults);
+      intro = 'Here are the properties that best match your question:';
+    } else if (unconstrained) {
+      results = this.queryFilter.rank(candidates).slice(0, this.options.maxResults);
+      intro = `We have ${properties.length} properties available. Here are ${results.length} of the most affordable:`;
+    } else {
+      results = candidates.slice(0, this.options.maxResults);
+      intro = this.describeResults(constraints, totalMatches, results.length, properties.length);
+    }
+
+    return {
+      answer: `${intro}\n${results.map(property => this.formatProperty(property)).join('\n')}`,
+      propertyIds: results.map(property => property.id),
+      constraints,
+      totalMatches
+    };
+  }
+}
+
+export default OfflineAnswerEngine;
@@ -0,0 +1,97 @@
+import { existsSync, readFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Per-model token prices loaded from config/pricing.json
+ * Rates are given per `unit` tokens (1M by default) for input, output and cached input,
+ * with a currency and the date they took effect
+ */
+class PricingTable {
+  // Used when the pricing file is missing or unreadable (gpt-3.5-turbo, January 2024)
+  static FALLBACK = {
+    currency: 'USD',
+    unit: 1000000,
+    defaultModel: 'gpt-3.5-turbo',
+    models: {
+      'gpt-3.5-turbo': { input: 0.5, output: 1.5, cachedInput: null, effectiveDate: '2024-01-25' }
+    }
+  };
+
+  constructor(options = {}) {
+    this.path = options.path
+      ? resolve(join(__dirname, '..'), options.path)
+      : join(__dirname, '..', 'config', 'pricing.json');
+    this.table = this.load();
+    this.warned = new Set();
+  }
+
+  /**
+   * Read the pricing file, falling back to built-in gpt-3.5-turbo rates
+   */
+  load() {
+    if (!existsSync(this.path)) {
+      console.log(chalk.yellow(`⚠️ Pricing file not found at ${this.path}, using built-in gpt-3.5-turbo rates`));
+      return PricingTable.FALLBACK;
+    }
+
+    try {
+      const table = JSON.parse(readFileSync(this.path, 'utf8'));
+      if (!table.models || Object.keys(table.models).length === 0) {
+        throw new Error('no models listed');
+      }
+      return { ...PricingTable.FALLBACK, ...table };
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️ Ignoring unreadable pricing file (${error.message}), using built-in gpt-3.5-turbo rates`));
+      return PricingTable.FALLBACK;
+    }
+  }
+
+  /**
+   * Table entry for a model: exact name, then the longest matching prefix
+   * ("gpt-4o-mini-2024-07-18" → "gpt-4o-mini"), then the default model
+   * Returns { model, input, output, cachedInput, currency, effectiveDate, unit, known }
+   */
+  rateFor(model) {
+    const name = (model || '').toLowerCase().replace(/^.*\//, '');
+    const match = Object.keys(this.table.models)
+      .filter(key => name === key || name.startsWith(`${key}-`))
+      .sort((a, b) => b.length - a.length)[0];
+
+    const key = match || this.table.defaultModel;
+    if (!match && model && !this.warned.has(model)) {
+      this.warned.add(model);
+      console.log(chalk.yellow(`⚠️ No price listed for "${model}", using ${key} rates`));
+    }
+
+    const entry = this.table.models[key] || Object.values(this.table.models)[0];
+    return {
+      model: key,
+      input: entry.input,
+      output: entry.output,
+      cachedInput: entry.cachedInput ?? null,
+      currency: entry.currency || this.table.currency,
+      effectiveDate: entry.effectiveDate || null,
+      unit: this.table.unit,
+      known: !!match
+    };
+  }
+
+  /**
+   * Cost of a request; cached prompt tokens use the cached-input rate when the model has one
+   */
+  cost(model, { inputTokens = 0, outputTokens = 0, cachedTokens = 0 } = {}) {
+    const rate = this.rateFor(model);
+    const cached = rate.cachedInput !== null ? Math.min(cachedTokens, inputTokens) : 0;
+    const inputCost = ((inputTokens - cached) * rate.input + cached * rate.cachedInput) / rate.unit;
+    const outputCost = (outputTokens * rate.output) / rate.unit;
+
+    return { rate, inputCost, outputCost, totalCost: inputCost + outputCost };
+  }
+}
+
+export default PricingTable;
@@ -0,0 +1,107 @@
+import { createHash } from 'crypto';
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Versioned system prompt templates loaded from prompts/<name>.md
+ * Templates use {{variable}} placeholders and declare name/version in front matter
+ */
+class PromptTemplates {
+  static VARIABLES = ['persona', 'overview', 'propertyCount', 'propertyBlock', 'scopeRule', 'toolRule'];
+
+  constructor(options = {}) {
+    this.directory = options.directory
+      ? resolve(join(__dirname, '..'), options.directory)
+      : join(__dirname, '..', 'prompts');
+    this.templates = new Map();
+  }
+
+  /**
+   * Names of the templates available in the prompt directory
+   */
+  list() {
+    if (!existsSync(this.directory)) return [];
+    return readdirSync(this.directory)
+      .filter(file => file.endsWith('.md') && file !== 'README.md')
+      .map(file => file.slice(0, -3))
+      .sort();
+  }
+
+  /**
+   * Split a template file into front matter metadata and body
+   */
+  parse(text, fileName) {
+    const match = text.replace(/^\uFEFF/, '').match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n([\s\S]*)$/);
+    if (!match) {
+      throw new Error(`Prompt template "${fileName}" is missing its front matter (name, version)`);
+    }
+
+    const meta = {};
+    for (const line of match[1].split(/\r?\n/)) {
+      const field = line.match(/^\s*([A-Za-z][\w-]*)\s*:\s*(.*?)\s*$/);
+      if (field) meta[field[1]] = field[2];
+    }
+
+    if (!meta.version) {
+      throw new Error(`Prompt template "${fileName}" has no version in its front matter`);
+    }
+
+    const { name, version, description, ...defaults } = meta;
+    const body = match[2].trimEnd();
+
+    const unknown = [...body.matchAll(/\{\{\s*(\w+)\s*\}\}/g)]
+      .map(placeholder => placeholder[1])
+      .filter(variable => !PromptTemplates.VARIABLES.includes(variable));
+    if (unknown.length > 0) {
+      throw new Error(`Prompt template "${fileName}" uses unknown variables: ${[...new Set(unknown)].join(', ')} (available: ${PromptTemplates.VARIABLES.join(', ')})`);
+    }
+
+    return {
+      name: name || fileName,
+      version,
+      description: description || '',
+      defaults,
+      body,
+      fingerprint: createHash('sha256').update(body).digest('hex').substring(0, 8)
+    };
+  }
+
+  /**
+   * Load a template by name (cached after the first read)
+   */
+  load(name = 'default') {
+    if (this.templates.has(name)) return this.templates.get(name);
+
+    const file = join(this.directory, `${name}.md`);
+    if (!existsSync(file)) {
+      throw new Error(`Prompt template "${name}" not found in ${this.directory} (available: ${this.list().join(', ') || 'none'})`);
+    }
+
+    const template = this.parse(readFileSync(file, 'utf8'), name);
+    this.templates.set(name, template);
+    return template;
+  }
+
+  /**
+   * Fill a template's placeholders; a line holding only an empty variable is dropped
+   */
+  render(template, variables = {}) {
+    const values = { ...template.defaults, ...Object.fromEntries(Object.entries(variables).filter(([, value]) => value !== undefined && value !== null)) };
+    const valueOf = variable => String(values[variable] ?? '');
+
+    return template.body
+      .split('\n')
+      .filter(line => {
+        const only = line.match(/^\s*\{\{\s*(\w+)\s*\}\}\s*$/);
+        return !only || valueOf(only[1]) !== '';
+      })
+      .join('\n')
+      .replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, variable) => valueOf(variable));
+  }
+}
+
+export default PromptTemplates;
@@ -0,0 +1,220 @@
+import QueryFilter from './query-filter.js';
+
+/**
+ * Property tools the model can call (OpenAI function calling)
+ * Every tool runs locally against the PropertyDataLoader data
+ */
+class PropertyTools {
+  constructor(dataLoader, options = {}) {
+    this.dataLoader = dataLoader;
+    this.queryFilter = new QueryFilter();
+    this.options = {
+      maxResults: options.maxResults || 10
+    };
+  }
+
+  /**
+   * Tool definitions in the OpenAI `tools` format
+   */
+  getDefinitions() {
+    return [
+      {
+        type: 'function',
+        function: {
+          name: 'search_properties',
+          description: 'Search the rental property catalog with optional hard filters and free-text relevance. Returns matching properties ranked by the requested order.',
+          parameters: {
+            type: 'object',
+            properties: {
+              query: { type: 'string', description: 'Free-text search over title, description and address (e.g. "romantic", "near the beach")' },
+              max_price: { type: 'number', description: 'Maximum nightly price in USD' },
+              min_price: { type: 'number', description: 'Minimum nightly price in USD' },
+              min_bedrooms: { type: 'integer', description: 'Minimum number of bedrooms' },
+              min_bathrooms: { type: 'integer', description: 'Minimum number of bathrooms' },
+              min_parking: { type: 'integer', description: 'Minimum number of parking spaces' },
+              city: { type: 'string', description: 'City name as listed in the catalog' },
+              country: { type: 'string', description: 'Country name as listed in the catalog' },
+              sort_by: { type: 'string', enum: ['relevance', 'price_asc', 'price_desc', 'bedrooms', 'bathrooms', 'parking'], description: 'Result order' },
+              limit: { type: 'integer', description: `Maximum results to return (default 5, max ${this.options.maxResults})` }
+            }
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'get_property',
+          description: 'Get the full details of one property, including the complete description.',
+          parameters: {
+            type: 'object',
+            properties: {
+              id: { type: 'string', description: 'Property id, or its "Property N" number from the database listing' }
+            },
+            required: ['id']
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'compare_properties',
+          description: 'Compare two or more properties side by side on price, location and facilities.',
+          parameters: {
+            type: 'object',
+            properties: {
+              ids: { type: 'array', items: { type: 'string' }, description: 'Property ids or "Property N" numbers' }
+            },
+            required: ['ids']
+          }
+        }
+      }
+    ];
+  }
+
+  /**
+   * Compact property view returned to the model
+   */
+  summarize(property) {
+    return {
+      id: property.id,
+      number: property.index,
+      title: property.title,
+      location: property.location,
+      price: property.priceDisplay,
+      bedrooms: property.facilities.bedrooms,
+      bathrooms: property.facilities.bathrooms,
+      parking: property.facilities.parking
+    };
+  }
+
+  /**
+   * Resolve a property by id or by its "Property N" display number
+   */
+  findProperty(idOrNumber) {
+    const value = String(idOrNumber).trim();
+    const number = value.match(/^(?:property\s*)?#?(\d+)$/i);
+
+    return this.dataLoader.properties.find(property => property.id === value) ||
+      (number ? this.dataLoader.properties.find(property => property.index === parseInt(number[1])) : null) ||
+      null;
+  }
+
+  /**
+   * search_properties implementation
+   */
+  searchProperties(args = {}) {
+    const constraints = {};
+    if (args.max_price !== undefined) constraints.maxPrice = args.max_price;
+    if (args.min_price !== undefined) constraints.minPrice = args.min_price;
+    if (args.min_bedrooms !== undefined) constraints.minBedrooms = args.min_bedrooms;
+    if (args.min_bathrooms !== undefined) constraints.minBathrooms = args.min_bathrooms;
+    if (args.min_parking !== undefined) constraints.minParking = args.min_parking;
+    if (args.city) constraints.cities = [args.city.toLowerCase()];
+    if (args.country) constraints.countries = [args.country.toLowerCase()];
+
+    let results = this.dataLoader.properties.filter(property => this.queryFilter.matches(property, constraints));
+
+    const sorts = {
+      price_asc: { field: 'price', direction: 'asc' },
+      price_desc: { field: 'price', direction: 'desc' },
+      bedrooms: { field: 'bedrooms', direction: 'desc' },
+      bathrooms: { field: 'bathrooms', direction: 'desc' },
+      parking: { field: 'parking', direction: 'desc' }
+    };
+
+    const scores = new Map();
+    if (args.query) {
+      for (const hit of this.dataLoader.search(args.query, this.dataLoader.properties.length)) {
+        scores.set(hit.property.id, { score: hit.score, snippet: hit.snippet });
+      }
+      if (!args.sort_by || args.sort_by === 'relevance') {
+        results = results
+          .filter(property => scores.has(property.id))
+          .sort((a, b) => scores.get(b.id).score - scores.get(a.id).score);
+      }
+    }
+    if (sorts[args.sort_by]) {
+      results = this.queryFilter.rank(results, sorts[args.sort_by]);
+    }
+
+    const limit = Math.min(Math.max(parseInt(args.limit) || 5, 1), this.options.maxResults);
+
+    return {
+      totalMatches: results.length,
+      results: results.slice(0, limit).map(property => ({
+        ...this.summarize(property),
+        ...(scores.has(property.id) ? { excerpt: scores.get(property.id).snippet } : {})
+      }))
+    };
+  }
+
+  /**
+   * get_property implementation
+   */
+  getProperty(args = {}) {
+    const property = this.findProperty(args.id);
+    if (!property) return { error: `No property found with id "${args.id}"` };
+
+    const raw = this.dataLoader.getRawProperty(property.id);
+
+    return {
+      ...this.summarize(property),
+      description: raw?.description || property.description,
+      address: property.address,
+      hasImage: property.hasImage
+    };
+  }
+
+  /**
+   * compare_properties implementation
+   */
+  compareProperties(args = {}) {
+    const ids = Array.isArray(args.ids) ? args.ids : [];
+    if (ids.length < 2) return { error: 'Provide at least two property ids to compare' };
+
+    const found = ids.map(id => ({ id, property: this.findProperty(id) }));
+    const missing = found.filter(entry => !entry.property).map(entry => entry.id);
+    const properties = found.filter(entry => entry.property).map(entry => entry.property);
+
+    const pick = (field, better) => properties.reduce((best, property) =>
+      (best === null || better(field(property), field(best)) ? property : best), null)?.id ?? null;
+
+    return {
+      properties: properties.map(property => this.summarize(property)),
+      cheapest: pick(property => property.price, (a, b) => a < b),
+      mostBedrooms: pick(property => property.facilities.bedrooms, (a, b) => a > b),
+      mostBathrooms: pick(property => property.facilities.bathrooms, (a, b) => a > b),
+      ...(missing.length > 0 ? { notFound: missing } : {})
+    };
+  }
+
+  /**
+   * Execute a tool call by name with JSON-string or object arguments
+   */
+  execute(name, rawArguments) {
+    let args;
+    try {
+      args = typeof rawArguments === 'string' ? JSON.parse(rawArguments || '{}') : (rawArguments || {});
+    } catch (error) {
+      return { error: `Invalid JSON arguments: ${error.message}` };
+    }
+
+    // A failing tool is reported to the model as its result instead of ending the turn
+    try {
+      switch (name) {
+        case 'search_properties':
+          return this.searchProperties(args);
+        case 'get_property':
+          return this.getProperty(args);
+        case 'compare_properties':
+          return this.compareProperties(args);
+        default:
+          return { error: `Unknown tool "${name}"` };
+      }
+    } catch (error) {
+      return { error: `Tool "${name}" failed: ${error.message}` };
+    }
+  }
+}
+
+export default PropertyTools;
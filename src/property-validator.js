@@ -0,0 +1,142 @@
+/**
+ * Schema validation for property records
+ * Invalid records are quarantined instead of being coerced and sent to the LLM
+ */
+class PropertyValidator {
+  constructor(schema = PropertyValidator.SCHEMA) {
+    this.schema = schema;
+  }
+
+  /**
+   * Declared property schema (dotted paths for nested fields)
+   * `anyOf` lists alternative field names where the catalog is inconsistent, and
+   * `numericString` accepts digit-only strings such as "4" that the source API emits
+   */
+  static SCHEMA = {
+    id: { type: 'string', required: true },
+    title: { type: 'string', required: true, minLength: 1 },
+    description: { type: 'string', required: false },
+    price: { type: 'number', required: true, min: 0, exclusiveMin: true },
+    address: { type: 'string', required: false },
+    city: { type: 'string', required: true, minLength: 1 },
+    country: { type: 'string', required: true, minLength: 1 },
+    image: { type: 'string', required: false },
+    facilities: { type: 'object', required: true },
+    'facilities.bedrooms': { type: 'integer', required: true, min: 0, numericString: true },
+    'facilities.bathrooms': { type: 'integer', required: true, min: 0, numericString: true },
+    'facilities.parkings': { type: 'integer', required: true, min: 0, numericString: true, anyOf: ['facilities.parkings', 'facilities.parking'] }
+  };
+
+  /**
+   * Read a dotted path such as "facilities.bedrooms" from a record
+   */
+  getField(record, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), record);
+  }
+
+  /**
+   * Check a single value against a field rule, returning a reason or null
+   */
+  checkValue(value, rule) {
+    if (rule.numericString && typeof value === 'string' && /^\s*-?\d+(\.\d+)?\s*$/.test(value)) {
+      value = Number(value);
+    }
+
+    switch (rule.type) {
+      case 'string':
+        if (typeof value !== 'string') return `expected string, got ${this.describe(value)}`;
+        if (rule.minLength && value.trim().length < rule.minLength) return 'must not be empty';
+        return null;
+      case 'number':
+      case 'integer':
+        if (typeof value !== 'number' || !Number.isFinite(value)) return `expected ${rule.type}, got ${this.describe(value)}`;
+        if (rule.type === 'integer' && !Number.isInteger(value)) return `expected integer, got ${value}`;
+        if (rule.min !== undefined && (rule.exclusiveMin ? value <= rule.min : value < rule.min)) {
+          return `must be ${rule.exclusiveMin ? 'greater than' : 'at least'} ${rule.min}, got ${value}`;
+        }
+        return null;
+      case 'array':
+        if (!Array.isArray(value)) return `expected array, got ${this.describe(value)}`;
+        if (rule.minItems && value.length < rule.minItems) return `must have at least ${rule.minItems} items`;
+        return null;
+      case 'object':
+        if (typeof value !== 'object' || value === null || Array.isArray(value)) return `expected object, got ${this.describe(value)}`;
+        return null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Describe a value's type for error messages
+   */
+  describe(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'string') return `string "${value.length > 20 ? value.substring(0, 20) + '...' : value}"`;
+    return typeof value;
+  }
+
+  /**
+   * Validate one record and return its list of { field, reason } errors
+   */
+  validate(record) {
+    if (typeof record !== 'object' || record === null || Array.isArray(record)) {
+      return [{ field: '(record)', reason: `expected object, got ${this.describe(record)}` }];
+    }
+
+    const errors = [];
+
+    for (const [field, rule] of Object.entries(this.schema)) {
+      const candidates = rule.anyOf || [field];
+      const path = candidates.find(candidate => this.getField(record, candidate) !== undefined);
+      const value = path ? this.getField(record, path) : undefined;
+
+      if (value === undefined || value === null || value === '') {
+        if (rule.required) errors.push({ field, reason: 'missing required field' });
+        continue;
+      }
+
+      const reason = this.checkValue(value, rule);
+      if (reason) errors.push({ field: path, reason });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a set of records, splitting them into valid records and a quarantine report
+   */
+  validateAll(records, sourceOf = () => null) {
+    const valid = [];
+    const quarantined = [];
+
+    records.forEach((record, index) => {
+      const errors = this.validate(record);
+
+      if (errors.length === 0) {
+        valid.push(record);
+      } else {
+        quarantined.push({
+          id: record?.id ?? null,
+          index,
+          source: sourceOf(record),
+          errors
+        });
+      }
+    });
+
+    return {
+      valid,
+      report: {
+        generatedAt: new Date().toISOString(),
+        totalRecords: records.length,
+        validRecords: valid.length,
+        quarantinedRecords: quarantined.length,
+        quarantined
+      }
+    };
+  }
+}
+
+export default PropertyValidator;
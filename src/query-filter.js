@@ -0,0 +1,277 @@
+/**
+ * Query understanding and deterministic pre-filtering
+ * Extracts hard constraints from a question so only matching properties reach the LLM
+ */
+class QueryFilter {
+  constructor(options = {}) {
+    this.options = {
+      maxCandidates: options.maxCandidates || 20
+    };
+
+    this.numberWords = {
+      one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+      seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+      single: 1, a: 1, an: 1
+    };
+
+    // Common ways guests refer to places in the catalog; a city alias only ever selects that city
+    this.cityAliases = {
+      'nyc': 'new york',
+      'brooklyn': 'new york',
+      'rio': 'rio de janeiro',
+      'paris': 'île-de-france'
+    };
+    this.countryAliases = {
+      'uk': 'united kingdom',
+      'britain': 'united kingdom',
+      'england': 'united kingdom',
+      'usa': 'united states',
+      'u.s.': 'united states',
+      'u.s.a.': 'united states',
+      'the us': 'united states',
+      'america': 'united states'
+    };
+  }
+
+  /**
+   * Parse a number that may be written as digits or as a word
+   */
+  toNumber(value) {
+    if (value === undefined || value === null) return null;
+    const text = String(value).toLowerCase().replace(/[$,]/g, '');
+    if (text in this.numberWords) return this.numberWords[text];
+    const number = parseFloat(text);
+    return Number.isNaN(number) ? null : number;
+  }
+
+  /**
+   * Extract price constraints (nightly rate in USD)
+   */
+  parsePrice(text, constraints) {
+    const amount = '\\$\\s?(\\d[\\d,]*(?:\\.\\d+)?)|(\\d[\\d,]*(?:\\.\\d+)?)\\s*(?:\\$|usd|dollars?|bucks|\\/\\s?night|per night|a night)';
+    // Bare numbers count as prices unless they are followed by a facility word
+    const bare = '(\\d[\\d,]*(?:\\.\\d+)?)(?!\\d|[,.]\\d)(?!\\s*\\+?\\s*(?:bed|bath|br\\b|ba\\b|park|car|garage|guest|people|person|night|day|week|star|min|km|mile))';
+    const price = `(?:${amount}|${bare})`;
+    const pick = match => this.toNumber(match.slice(1).find(group => group !== undefined));
+
+    const between = text.match(new RegExp(`between\\s+${price}\\s+(?:and|to|-)\\s+${price}`));
+    if (between) {
+      const values = between.slice(1).filter(group => group !== undefined).map(group => this.toNumber(group));
+      constraints.minPrice = Math.min(values[0], values[1]);
+      constraints.maxPrice = Math.max(values[0], values[1]);
+      return;
+    }
+
+    const range = text.match(/\$\s?(\d[\d,]*)\s*(?:-|–|to)\s*\$?\s?(\d[\d,]*)/);
+    if (range) {
+      constraints.minPrice = this.toNumber(range[1]);
+      constraints.maxPrice = this.toNumber(range[2]);
+      return;
+    }
+
+    const maxPatterns = [
+      new RegExp(`(?:under|below|less than|cheaper than|max(?:imum)?|at most|up to|no more than|within|budget(?: of| is)?|<=?)\\s*${price}`),
+      new RegExp(`${price}\\s*(?:or less|or cheaper|or under|max(?:imum)?|and under|and below)`)
+    ];
+    for (const pattern of maxPatterns) {
+      const match = text.match(pattern);
+      if (match) {
+        constraints.maxPrice = pick(match);
+        break;
+      }
+    }
+
+    const minPatterns = [
+      new RegExp(`(?:over|above|more than|pricier than|min(?:imum)?|at least|starting at|from|>=?)\\s*(?:${amount})`),
+      new RegExp(`(?:${amount})\\s*(?:or more|and up|and above|plus)`)
+    ];
+    for (const pattern of minPatterns) {
+      const match = text.match(pattern);
+      if (match) {
+        constraints.minPrice = pick(match);
+        break;
+      }
+    }
+  }
+
+  /**
+   * Extract a minimum count for a facility (bedrooms, bathrooms, parking)
+   */
+  parseFacility(text, nouns) {
+    const count = '\\b(\\d+|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|single|an?)';
+    const noun = `(?:${nouns.join('|')})`;
+
+    const atMost = text.match(new RegExp(`(?:at most|no more than|up to|max(?:imum)?)\\s+${count}\\s*${noun}`));
+    if (atMost) return { max: this.toNumber(atMost[1]) };
+
+    const match = text.match(new RegExp(`${count}\\s*\\+?\\s*(?:or more\\s+)?${noun}`));
+    if (match) return { min: this.toNumber(match[1]) };
+
+    return null;
+  }
+
+  /**
+   * Find catalog cities and countries mentioned in the question, directly or by alias
+   * `question` keeps the original case, so a capitalised "US" counts but the pronoun "us" doesn't
+   */
+  parseLocations(text, properties, question = text) {
+    const cities = new Set();
+    const countries = new Set();
+    const aliasedCities = Object.entries(this.cityAliases).filter(([alias]) => this.mentions(text, alias)).map(([, city]) => city);
+    const aliasedCountries = Object.entries(this.countryAliases).filter(([alias]) => this.mentions(text, alias)).map(([, country]) => country);
+    if (/(^|[^A-Za-z])US([^A-Za-z]|$)/.test(question)) aliasedCountries.push('united states');
+
+    for (const property of properties) {
+      const city = (property.city || '').toLowerCase();
+      const country = (property.country || '').toLowerCase();
+
+      if (city && (this.mentions(text, city) || aliasedCities.includes(city))) cities.add(city);
+      if (country && (this.mentions(text, country) || aliasedCountries.includes(country))) countries.add(country);
+    }
+
+    return { cities: [...cities], countries: [...countries] };
+  }
+
+  /**
+   * Whole-word, case-insensitive mention check that tolerates accents
+   * Hyphens count as part of a word, so "france" doesn't match inside "île-de-france"
+   */
+  mentions(text, term) {
+    const plain = value => value.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    const escaped = plain(term).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z-])${escaped}($|[^a-z-])`).test(plain(text));
+  }
+
+  /**
+   * Detect an ordering intent (cheapest, most expensive, most bathrooms...)
+   */
+  parseSort(text) {
+    if (/\b(cheapest|least expensive|lowest price|most affordable|budget|cheap)\b/.test(text)) return { field: 'price', direction: 'asc' };
+    if (/\b(most expensive|priciest|highest price|luxury|luxurious|premium|upscale)\b/.test(text)) return { field: 'price', direction: 'desc' };
+    if (/\b(most|largest number of|max(?:imum)?) (bedrooms?|beds?)\b/.test(text)) return { field: 'bedrooms', direction: 'desc' };
+    if (/\b(most|largest number of|max(?:imum)?) (bathrooms?|baths?)\b/.test(text)) return { field: 'bathrooms', direction: 'desc' };
+    if (/\b(most|largest number of|max(?:imum)?) (parking|parking spaces?)\b/.test(text)) return { field: 'parking', direction: 'desc' };
+    return null;
+  }
+
+  /**
+   * Extract hard constraints from a user question
+   */
+  parse(question, properties = []) {
+    const text = ` ${question.toLowerCase()} `;
+    const constraints = {};
+
+    this.parsePrice(text, constraints);
+
+    const bedrooms = this.parseFacility(text, ['bedrooms?', 'beds?\\b', 'br\\b', 'bdrms?']);
+    if (bedrooms?.min !== undefined) constraints.minBedrooms = bedrooms.min;
+    if (bedrooms?.max !== undefined) constraints.maxBedrooms = bedrooms.max;
+
+    const bathrooms = this.parseFacility(text, ['bathrooms?', 'baths?\\b', 'ba\\b']);
+    if (bathrooms?.min !== undefined) constraints.minBathrooms = bathrooms.min;
+    if (bathrooms?.max !== undefined) constraints.maxBathrooms = bathrooms.max;
+
+    const parking = this.parseFacility(text, ['parking(?: spaces?| spots?)?', 'car spaces?', 'garages?']);
+    if (parking?.min !== undefined) constraints.minParking = parking.min;
+    else if (/\b(parking|park my car|garage|car space)\b/.test(text) && !/\bno parking\b/.test(text)) constraints.minParking = 1;
+
+    const { cities, countries } = this.parseLocations(text, properties, question);
+    if (cities.length > 0) constraints.cities = cities;
+    if (countries.length > 0) constraints.countries = countries;
+
+    const sort = this.parseSort(text);
+    if (sort) constraints.sort = sort;
+
+    return constraints;
+  }
+
+  /**
+   * Whether any hard (filtering) constraint was found
+   */
+  hasFilters(constraints) {
+    return Object.keys(constraints).some(key => key !== 'sort');
+  }
+
+  /**
+   * Check a formatted property against the constraints
+   */
+  matches(property, constraints) {
+    const { facilities } = property;
+    const city = (property.city || '').toLowerCase();
+    const country = (property.country || '').toLowerCase();
+
+    if (constraints.maxPrice !== undefined && property.price > constraints.maxPrice) return false;
+    if (constraints.minPrice !== undefined && property.price < constraints.minPrice) return false;
+    if (constraints.minBedrooms !== undefined && facilities.bedrooms < constraints.minBedrooms) return false;
+    if (constraints.maxBedrooms !== undefined && facilities.bedrooms > constraints.maxBedrooms) return false;
+    if (constraints.minBathrooms !== undefined && facilities.bathrooms < constraints.minBathrooms) return false;
+    if (constraints.maxBathrooms !== undefined && facilities.bathrooms > constraints.maxBathrooms) return false;
+    if (constraints.minParking !== undefined && facilities.parking < constraints.minParking) return false;
+
+    // A place name may be stored as either city or country, so either list can match
+    const places = [...(constraints.cities || []), ...(constraints.countries || [])];
+    if (places.length > 0 && !places.includes(city) && !places.includes(country)) return false;
+
+    return true;
+  }
+
+  /**
+   * Sort properties by the requested order (price ascending by default), id as tiebreaker
+   */
+  rank(properties, sort) {
+    const field = sort?.field || 'price';
+    const direction = sort?.direction === 'desc' ? -1 : 1;
+    const valueOf = property => (field === 'price' ? property.price : property.facilities[field]);
+
+    return [...properties].sort((a, b) =>
+      (valueOf(a) - valueOf(b)) * direction || String(a.id).localeCompare(String(b.id))
+    );
+  }
+
+  /**
+   * Filter and rank the catalog for a question
+   * Without an explicit sort, optional search relevance scores (id → score) decide the order
+   */
+  apply(question, properties, relevance = null) {
+    const constraints = this.parse(question, properties);
+    const filtered = this.hasFilters(constraints)
+      ? properties.filter(property => this.matches(property, constraints))
+      : properties;
+
+    let ranked = filtered;
+    if (constraints.sort) {
+      ranked = this.rank(filtered, constraints.sort);
+    } else if (relevance && relevance.size > 0) {
+      // Array.prototype.sort is stable, so unscored properties keep catalog order
+      ranked = [...filtered].sort((a, b) => (relevance.get(b.id) || 0) - (relevance.get(a.id) || 0));
+    }
+
+    return {
+      constraints,
+      totalMatches: filtered.length,
+      candidates: ranked.slice(0, this.options.maxCandidates)
+    };
+  }
+
+  /**
+   * Human-readable summary of constraints for prompts and debug output
+   */
+  describe(constraints) {
+    const parts = [];
+
+    if (constraints.minPrice !== undefined && constraints.maxPrice !== undefined) parts.push(`price $${constraints.minPrice}-$${constraints.maxPrice}/night`);
+    else if (constraints.maxPrice !== undefined) parts.push(`price at most $${constraints.maxPrice}/night`);
+    else if (constraints.minPrice !== undefined) parts.push(`price at least $${constraints.minPrice}/night`);
+    if (constraints.minBedrooms !== undefined) parts.push(`at least ${constraints.minBedrooms} bedrooms`);
+    if (constraints.maxBedrooms !== undefined) parts.push(`at most ${constraints.maxBedrooms} bedrooms`);
+    if (constraints.minBathrooms !== undefined) parts.push(`at least ${constraints.minBathrooms} bathrooms`);
+    if (constraints.maxBathrooms !== undefined) parts.push(`at most ${constraints.maxBathrooms} bathrooms`);
+    if (constraints.minParking !== undefined) parts.push(`at least ${constraints.minParking} parking spaces`);
+    if (constraints.cities || constraints.countries) parts.push(`location: ${[...(constraints.cities || []), ...(constraints.countries || [])].join(' or ')}`);
+    if (constraints.sort) parts.push(`sorted by ${constraints.sort.field} ${constraints.sort.direction === 'asc' ? 'ascending' : 'descending'}`);
+
+    return parts.join(', ');
+  }
+}
+
+export default QueryFilter;
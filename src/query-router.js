@@ -0,0 +1,93 @@
+import QueryFilter from './query-filter.js';
+
+/**
+ * Routes each question to a model by how much reasoning it needs
+ * - lookup: a catalog overview or a single ordering ("what's the cheapest property?")
+ * - filter: one or two hard constraints ("2 bedrooms under $100 in Bali")
+ * - recommendation: open-ended, free-form or multi-constraint requests ("a quiet family trip near the beach")
+ * A route's target is a model name, or "offline" for the rule-based engine
+ */
+class QueryRouter {
+  static ROUTES = ['lookup', 'filter', 'recommendation'];
+
+  constructor(options = {}) {
+    this.queryFilter = options.queryFilter || new QueryFilter();
+    this.targets = {
+      lookup: options.lookup,
+      filter: options.filter,
+      recommendation: options.recommendation
+    };
+    this.defaultModel = options.defaultModel || null; // Used when a question needs a model but every route is offline
+
+    // Questions about the catalog as a whole ("what properties do you have?")
+    this.overviewPattern = /\b(how many (properties|listings|places)|list (all|every|your)|all (the |your )?(properties|listings)|(properties|listings|places) (do you have|are (there|available)|available))\b/;
+
+    // Words that ask for judgement rather than a catalog lookup
+    this.openEndedPattern = /\b(recommend\w*|suggest\w*|best|ideal|perfect|romantic|honeymoon|family|families|kids|children|friends|group|business|remote work|quiet|peaceful|cozy|cosy|luxury|luxurious|views?|vibe|plan|planning|itinerary|trip|getaway|vacation|holiday|weekend|compare|comparison|versus|vs|difference|better|worth|why|should i|which one|pros|cons|close to|walking distance)\b/;
+  }
+
+  /**
+   * Number of distinct kinds of hard constraint (price, bedrooms, bathrooms, parking, location)
+   */
+  countConstraintGroups(constraints) {
+    const groups = [
+      constraints.minPrice !== undefined || constraints.maxPrice !== undefined,
+      constraints.minBedrooms !== undefined || constraints.maxBedrooms !== undefined,
+      constraints.minBathrooms !== undefined || constraints.maxBathrooms !== undefined,
+      constraints.minParking !== undefined,
+      !!(constraints.cities || constraints.countries)
+    ];
+    return groups.filter(Boolean).length;
+  }
+
+  /**
+   * Classify a question into { route, reason }
+   */
+  classify(question, properties = []) {
+    const text = ` ${(question || '').toLowerCase()} `;
+    const constraints = this.queryFilter.parse(question || '', properties);
+    const groups = this.countConstraintGroups(constraints);
+    const words = text.trim().split(/\s+/).filter(Boolean).length;
+    const openEnded = text.match(this.openEndedPattern);
+
+    if (openEnded) {
+      return { route: 'recommendation', reason: `open-ended ("${openEnded[1]}")` };
+    }
+    if (groups >= 3 || words > 25) {
+      return { route: 'recommendation', reason: groups >= 3 ? `${groups} kinds of constraint` : 'long question' };
+    }
+    if (groups > 0) {
+      return { route: 'filter', reason: this.queryFilter.describe(constraints) };
+    }
+    if (constraints.sort) {
+      return { route: 'lookup', reason: this.queryFilter.describe(constraints) };
+    }
+    if (this.overviewPattern.test(text)) {
+      return { route: 'lookup', reason: 'catalog overview' };
+    }
+    return { route: 'recommendation', reason: 'free-form question' };
+  }
+
+  /**
+   * Pick the target for a question
+   * The rule engine only answers self-contained English questions, so follow-ups and other
+   * languages move up to the next route that uses a model, or to the default model when none does
+   * Returns { name, target, reason }
+   */
+  route(question, properties = [], { followUp = false, language = 'en' } = {}) {
+    const { route, reason } = this.classify(question, properties);
+    const needsModel = followUp || language !== 'en';
+    const why = followUp ? 'follow-up' : `written in ${language}`;
+
+    const start = QueryRouter.ROUTES.indexOf(route);
+    const name = QueryRouter.ROUTES.slice(start).find(candidate => !needsModel || this.targets[candidate] !== 'offline');
+    if (!name) {
+      return { name: route, target: this.defaultModel, reason: `${reason}, ${why} and no route uses a model, so the default model` };
+    }
+
+    const escalated = name !== route ? `, ${why} so not offline` : '';
+    return { name, target: this.targets[name], reason: `${reason}${escalated}` };
+  }
+}
+
+export default QueryRouter;
@@ -0,0 +1,95 @@
+/**
+ * Per-request timeout plus bounded retries with jittered exponential backoff
+ * Only transient failures (timeouts, rate limits, 5xx, network errors) are retried
+ */
+class RetryPolicy {
+  constructor(options = {}) {
+    this.options = {
+      timeout: options.timeout || 30000,
+      maxRetries: options.maxRetries ?? 2,
+      baseDelay: options.baseDelay ?? 500,
+      maxDelay: options.maxDelay || 8000
+    };
+
+    this.networkCodes = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET']);
+  }
+
+  /**
+   * Classify an error into { errorClass, retryable }
+   * Classes: timeout | rate_limit | quota | server_error | network | auth | bad_request | unknown
+   */
+  classify(error) {
+    if (error?.errorClass) return { errorClass: error.errorClass, retryable: error.retryable === true };
+
+    const status = error?.status;
+    if (error?.name === 'TimeoutError' || error?.constructor?.name === 'APIConnectionTimeoutError') {
+      return { errorClass: 'timeout', retryable: true };
+    }
+    if (status === 429) {
+      // An exhausted quota will not recover by waiting
+      return error.code === 'insufficient_quota'
+        ? { errorClass: 'quota', retryable: false }
+        : { errorClass: 'rate_limit', retryable: true };
+    }
+    if (status >= 500) return { errorClass: 'server_error', retryable: true };
+    if (status === 401 || status === 403) return { errorClass: 'auth', retryable: false };
+    if (status >= 400) return { errorClass: 'bad_request', retryable: false };
+    if (this.networkCodes.has(error?.code || error?.cause?.code) || error?.constructor?.name === 'APIConnectionError') {
+      return { errorClass: 'network', retryable: true };
+    }
+    return { errorClass: 'unknown', retryable: false };
+  }
+
+  /**
+   * Backoff before retry number `retry` (1-based): half fixed, half random, honouring Retry-After
+   */
+  delay(retry, error = null) {
+    const ceiling = Math.min(this.options.maxDelay, this.options.baseDelay * 2 ** (retry - 1));
+    const jittered = ceiling / 2 + Math.random() * ceiling / 2;
+    const retryAfter = parseFloat(error?.headers?.['retry-after']) * 1000;
+
+    return Math.round(Number.isFinite(retryAfter) ? Math.min(Math.max(jittered, retryAfter), this.options.maxDelay) : jittered);
+  }
+
+  /**
+   * Run operation(signal, attempt) with a timeout per attempt, retrying transient failures
+   * Resolves to { result, attempts }; rejects with the last error, annotated with
+   * error.attempts and error.errorClass
+   */
+  async run(operation, { onRetry = null } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), this.options.timeout);
+
+      try {
+        const result = await operation(controller.signal, attempt);
+        return { result, attempts: attempt };
+      } catch (caught) {
+        let error = caught;
+        if (controller.signal.aborted) {
+          error = new Error(`Request timed out after ${this.options.timeout}ms`);
+          error.name = 'TimeoutError';
+          error.cause = caught;
+          if (caught?.partial) error.partial = true; // Tokens already reached the screen before the timeout
+        }
+
+        const { errorClass, retryable } = this.classify(error);
+        error.errorClass = errorClass;
+        error.attempts = attempt;
+
+        // Partially streamed answers are already on screen, so they are never retried
+        if (!retryable || error.partial || attempt > this.options.maxRetries) {
+          throw error;
+        }
+
+        const wait = this.delay(attempt, error);
+        onRetry?.({ attempt, errorClass, wait, error });
+        await new Promise(resolve => setTimeout(resolve, wait));
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  }
+}
+
+export default RetryPolicy;
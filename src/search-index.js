@@ -0,0 +1,171 @@
+/**
+ * Offline BM25 full-text index over property titles, descriptions and addresses
+ * Built in memory at load time - no external embedding service required
+ */
+class SearchIndex {
+  constructor(options = {}) {
+    this.options = {
+      k1: options.k1 || 1.2,
+      b: options.b ?? 0.75,
+      // Title matches count more than description matches
+      fieldWeights: options.fieldWeights || { title: 2, address: 1.5, description: 1 }
+    };
+
+    this.stopWords = new Set([
+      'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+      'have', 'has', 'i', 'in', 'is', 'it', 'its', 'me', 'my', 'near', 'of', 'on', 'or', 'our',
+      'place', 'property', 'properties', 'show', 'so', 'some', 'that', 'the', 'there', 'this', 'to',
+      'we', 'what', 'where', 'which', 'with', 'you', 'your', 'any', 'anything', 'looking', 'want',
+      'need', 'like', 'would', 'find', 'get', 'good', 'best', 'please'
+    ]);
+
+    // Query-side expansions for common travel intents
+    this.expansions = {
+      romantic: ['romantic', 'couple', 'couples', 'honeymoon', 'cozy', 'cosy', 'private', 'charming'],
+      beach: ['beach', 'beachfront', 'ocean', 'sea', 'seaside', 'coast', 'shore'],
+      family: ['family', 'kids', 'children', 'spacious'],
+      quiet: ['quiet', 'peaceful', 'calm', 'tranquil'],
+      historic: ['historic', 'historical', 'century', 'traditional', 'heritage'],
+      modern: ['modern', 'contemporary', 'renovated', 'new']
+    };
+
+    this.documents = [];
+    this.postings = new Map();
+    this.averageLength = 0;
+  }
+
+  /**
+   * Lowercase, strip accents and split text into stemmed terms
+   */
+  tokenize(text) {
+    return (text || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .split(/[^a-z0-9]+/)
+      .filter(token => token.length > 1 && !this.stopWords.has(token))
+      .map(token => this.stem(token));
+  }
+
+  /**
+   * Very light suffix stemmer (plurals and common verb endings)
+   */
+  stem(token) {
+    if (token.length > 5 && token.endsWith('ies')) return token.slice(0, -3) + 'y';
+    if (token.length > 5 && token.endsWith('ing')) return token.slice(0, -3);
+    if (token.length > 4 && token.endsWith('es') && /(ch|sh|x|ss)es$/.test(token)) return token.slice(0, -2);
+    if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+    return token;
+  }
+
+  /**
+   * Build the index from { id, title, description, address } documents
+   */
+  build(documents) {
+    this.documents = [];
+    this.postings = new Map();
+    let totalLength = 0;
+
+    documents.forEach((document, docIndex) => {
+      const termFrequencies = new Map();
+      let length = 0;
+
+      for (const [field, weight] of Object.entries(this.options.fieldWeights)) {
+        for (const term of this.tokenize(document[field])) {
+          termFrequencies.set(term, (termFrequencies.get(term) || 0) + weight);
+          length += weight;
+        }
+      }
+
+      for (const [term, frequency] of termFrequencies) {
+        if (!this.postings.has(term)) this.postings.set(term, []);
+        this.postings.get(term).push({ docIndex, frequency });
+      }
+
+      this.documents.push({ id: document.id, length, source: document });
+      totalLength += length;
+    });
+
+    this.averageLength = this.documents.length > 0 ? totalLength / this.documents.length : 0;
+    return this;
+  }
+
+  /**
+   * Expand query terms with related travel vocabulary
+   */
+  expandQuery(query) {
+    const terms = new Set();
+    const raw = (query || '').toLowerCase().split(/[^a-z0-9]+/);
+
+    for (const word of raw) {
+      for (const expansion of this.expansions[word] || []) {
+        terms.add(this.stem(expansion));
+      }
+    }
+    for (const term of this.tokenize(query)) terms.add(term);
+
+    return [...terms];
+  }
+
+  /**
+   * Search the index and return the top k { id, score, document } hits
+   */
+  search(query, k = 5) {
+    const { k1, b } = this.options;
+    const scores = new Map();
+    const total = this.documents.length;
+
+    for (const term of this.expandQuery(query)) {
+      const postings = this.postings.get(term);
+      if (!postings) continue;
+
+      const idf = Math.log(1 + (total - postings.length + 0.5) / (postings.length + 0.5));
+
+      for (const { docIndex, frequency } of postings) {
+        const { length } = this.documents[docIndex];
+        const normalized = frequency * (k1 + 1) / (frequency + k1 * (1 - b + b * length / this.averageLength));
+        scores.set(docIndex, (scores.get(docIndex) || 0) + idf * normalized);
+      }
+    }
+
+    return [...scores.entries()]
+      .sort((a, c) => c[1] - a[1] || a[0] - c[0])
+      .slice(0, k)
+      .map(([docIndex, score]) => ({
+        id: this.documents[docIndex].id,
+        score: Math.round(score * 1000) / 1000,
+        document: this.documents[docIndex].source
+      }));
+  }
+
+  /**
+   * Pick the sentence of a text that best matches the query, for prompt context
+   */
+  snippet(text, query, maxLength = 240) {
+    const terms = new Set(this.expandQuery(query));
+    const sentences = (text || '').split(/(?<=[.!?])\s+/).filter(Boolean);
+    if (sentences.length === 0) return '';
+
+    const scored = sentences.map((sentence, index) => ({
+      sentence,
+      index,
+      score: this.tokenize(sentence).filter(term => terms.has(term)).length
+    }));
+    const best = scored.sort((a, c) => c.score - a.score || a.index - c.index)[0].sentence;
+
+    return best.length > maxLength ? best.substring(0, maxLength - 3) + '...' : best;
+  }
+
+  /**
+   * Index statistics for debugging
+   */
+  getStats() {
+    return {
+      documents: this.documents.length,
+      terms: this.postings.size,
+      averageLength: Math.round(this.averageLength)
+    };
+  }
+}
+
+export default SearchIndex;
@@ -0,0 +1,161 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Spending limits per session, per day and per month
+ * Daily and monthly totals are kept on disk (statePath) so they survive restarts;
+ * days and months are calendar periods in UTC, like provider billing
+ */
+class SpendingBudget {
+  static PERIODS = ['session', 'day', 'month'];
+  static ACTIONS = ['warn', 'downgrade', 'offline', 'refuse'];
+
+  constructor(options = {}) {
+    const action = options.action || 'warn';
+    if (!SpendingBudget.ACTIONS.includes(action)) {
+      console.log(chalk.yellow(`⚠️ Unknown budget action "${action}" (use ${SpendingBudget.ACTIONS.join(', ')}), using warn`));
+    }
+
+    this.options = {
+      limits: {
+        session: options.session || 0, // 0 = no limit
+        day: options.daily || 0,
+        month: options.monthly || 0
+      },
+      warnAt: options.warnAt ?? 0.8, // Share of a limit that triggers a warning
+      action: SpendingBudget.ACTIONS.includes(action) ? action : 'warn',
+      downgradeModel: options.downgradeModel || null,
+      // null = daily/monthly totals last for this process only; relative paths resolve from the project root
+      statePath: options.statePath ? resolve(join(__dirname, '..'), options.statePath) : null
+    };
+
+    this.now = options.now || (() => new Date());
+    this.sessionSpent = 0;
+    this.state = { days: {}, months: {} };
+    this.load();
+  }
+
+  /**
+   * Whether any limit is configured
+   */
+  isEnabled() {
+    return Object.values(this.options.limits).some(limit => limit > 0);
+  }
+
+  /**
+   * Keys of the current day and month ("2026-10-19", "2026-10")
+   */
+  periodKeys() {
+    const day = this.now().toISOString().slice(0, 10);
+    return { day, month: day.slice(0, 7) };
+  }
+
+  /**
+   * Spent so far in each period
+   */
+  totals() {
+    const { day, month } = this.periodKeys();
+    return {
+      session: this.sessionSpent,
+      day: this.state.days[day] || 0,
+      month: this.state.months[month] || 0
+    };
+  }
+
+  /**
+   * Add a query's cost to every period
+   */
+  record(amount) {
+    if (!amount) return;
+
+    // Re-read first so another running session's spending is not overwritten
+    this.load();
+    const { day, month } = this.periodKeys();
+    this.sessionSpent += amount;
+    this.state.days[day] = (this.state.days[day] || 0) + amount;
+    this.state.months[month] = (this.state.months[month] || 0) + amount;
+    this.save();
+  }
+
+  /**
+   * Check the projected spend of the next query against every limit
+   * Returns { status, period, limit, spent, projected, action }: status is 'ok', 'warn'
+   * (past warnAt of a limit) or 'over' (the query would exceed a limit); the tightest
+   * period is reported
+   */
+  check(estimatedCost = 0) {
+    const totals = this.totals();
+    const severity = { ok: 0, warn: 1, over: 2 };
+    let result = { status: 'ok', period: null, limit: 0, spent: 0, projected: estimatedCost, action: null };
+
+    for (const period of SpendingBudget.PERIODS) {
+      const limit = this.options.limits[period];
+      if (!limit) continue;
+
+      const projected = totals[period] + estimatedCost;
+      const status = projected > limit ? 'over' : projected >= limit * this.options.warnAt ? 'warn' : 'ok';
+      if (severity[status] > severity[result.status] ||
+          (status === result.status && status !== 'ok' && projected / limit > result.projected / result.limit)) {
+        result = { status, period, limit, spent: totals[period], projected, action: status === 'over' ? this.options.action : null };
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Load persisted daily and monthly totals
+   */
+  load() {
+    if (!this.options.statePath || !existsSync(this.options.statePath)) return;
+
+    try {
+      const snapshot = JSON.parse(readFileSync(this.options.statePath, 'utf8'));
+      this.state = { days: snapshot.days || {}, months: snapshot.months || {} };
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️ Ignoring unreadable spending state: ${error.message}`));
+    }
+  }
+
+  /**
+   * Persist totals, keeping the last 31 days and 12 months
+   */
+  save() {
+    if (!this.options.statePath) return;
+
+    const recent = (entries, count) => Object.fromEntries(Object.entries(entries).sort(([a], [b]) => a.localeCompare(b)).slice(-count));
+    this.state = { days: recent(this.state.days, 31), months: recent(this.state.months, 12) };
+
+    try {
+      mkdirSync(dirname(this.options.statePath), { recursive: true });
+      writeFileSync(this.options.statePath, JSON.stringify({
+        savedAt: new Date().toISOString(),
+        ...this.state
+      }, null, 2));
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️ Could not write spending state: ${error.message}`));
+    }
+  }
+
+  /**
+   * Limits, totals and configured behavior
+   */
+  getStats() {
+    return {
+      enabled: this.isEnabled(),
+      limits: this.options.limits,
+      spent: this.totals(),
+      warnAt: this.options.warnAt,
+      action: this.options.action,
+      downgradeModel: this.options.downgradeModel,
+      persistent: !!this.options.statePath
+    };
+  }
+}
+
+export default SpendingBudget;
@@ -0,0 +1,92 @@
+import PropertyValidator from './property-validator.js';
+
+/**
+ * Machine-readable answers: a summary plus ordered recommendations citing property ids
+ * The model's JSON is validated with the same schema validator used for catalog records
+ */
+class StructuredAnswerParser {
+  static SCHEMA = {
+    summary: { type: 'string', required: true, minLength: 1 },
+    recommendations: { type: 'array', required: true }
+  };
+
+  static RECOMMENDATION_SCHEMA = {
+    id: { type: 'string', required: true, minLength: 1 },
+    reason: { type: 'string', required: true, minLength: 1 }
+  };
+
+  constructor() {
+    this.answerValidator = new PropertyValidator(StructuredAnswerParser.SCHEMA);
+    this.recommendationValidator = new PropertyValidator(StructuredAnswerParser.RECOMMENDATION_SCHEMA);
+  }
+
+  /**
+   * System instructions describing the JSON shape and the ids the model may cite
+   */
+  getInstructions(properties) {
+    const ids = properties.map(property => `- Property ${property.index} (${property.title}): id "${property.id}"`).join('\n');
+
+    return `RESPONSE FORMAT (JSON):
+Ignore the prose response format above. Reply with ONLY a JSON object, no markdown fences, in this shape:
+{"summary": "<short friendly answer>", "recommendations": [{"id": "<property id>", "reason": "<why it fits>"}]}
+- List recommendations best first; use an empty array when nothing matches
+- Cite properties only by the ids below, copied exactly
+
+PROPERTY IDS:
+${ids}`;
+  }
+
+  /**
+   * Parse and validate model output against the schema and the known property ids
+   * Returns { value, errors }; value keeps whatever could be salvaged from invalid output
+   */
+  parse(content, properties) {
+    const text = (content || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      return { value: null, errors: [{ field: '(json)', reason: `invalid JSON: ${error.message}` }] };
+    }
+
+    const errors = this.answerValidator.validate(data);
+    const known = new Set(properties.map(property => property.id));
+    const recommendations = [];
+    const seen = new Set();
+
+    (Array.isArray(data?.recommendations) ? data.recommendations : []).forEach((recommendation, index) => {
+      const itemErrors = this.recommendationValidator.validate(recommendation)
+        .map(error => ({ field: `recommendations[${index}].${error.field}`, reason: error.reason }));
+
+      if (itemErrors.length === 0 && !known.has(recommendation.id)) {
+        itemErrors.push({ field: `recommendations[${index}].id`, reason: `unknown property id "${recommendation.id}"` });
+      }
+
+      errors.push(...itemErrors);
+      if (itemErrors.length === 0 && !seen.has(recommendation.id)) {
+        seen.add(recommendation.id);
+        recommendations.push({ id: recommendation.id, reason: recommendation.reason.trim() });
+      }
+    });
+
+    return {
+      value: { summary: typeof data?.summary === 'string' ? data.summary.trim() : '', recommendations },
+      errors
+    };
+  }
+
+  /**
+   * Prose rendering of a structured answer, for the CLI and conversation memory
+   */
+  render(value, properties) {
+    const lines = value.recommendations.map(({ id, reason }) => {
+      const property = properties.find(candidate => candidate.id === id);
+      return `• ${property.title} - ${property.location} - ${property.priceDisplay}: ${reason}`;
+    });
+
+    return [value.summary, ...lines].filter(Boolean).join('\n');
+  }
+}
+
+export default StructuredAnswerParser;
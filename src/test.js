@@ -1,7 +1,53 @@
 #!/usr/bin/env node
 
+import http from 'http';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
 import chalk from 'chalk';
 import RentalPropertyChatbot from './chatbot.js';
+import ApiDataSource from './api-data-source.js';
+import PropertyDataLoader from './data-loader.js';
+import QueryFilter from './query-filter.js';
+import SearchIndex from './search-index.js';
+import PropertyTools from './property-tools.js';
+import OfflineAnswerEngine from './offline-engine.js';
+import GroundingVerifier from './grounding-verifier.js';
+import LLMService from './llm-service.js';
+import createProvider, { providerRequiresApiKey } from './llm-providers.js';
+import CostTracker from './cost-tracker.js';
+import Localization from './localization.js';
+import TokenCounter from './token-counter.js';
+import UsageLedger from './usage-ledger.js';
+import MetricsRegistry from './metrics-registry.js';
+import MetricsServer from './metrics-server.js';
+
+// Relative cache and config paths resolve from here, not from the working directory
+const projectRoot = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Scripted LLM provider, so model-facing tests run without a key or network
+ * reply(request, { call, signal }) gives the answer text, an assistant message, a whole
+ * response or a stream of chunks; every request is kept in .requests
+ */
+function createFakeProvider(reply, options = {}) {
+  const requests = [];
+  return {
+    name: 'fake',
+    label: 'Fake provider',
+    supportsTools: false,
+    billable: false,
+    ...options,
+    requests,
+    async createChatCompletion(request, { signal } = {}) {
+      requests.push(structuredClone(request));
+      const result = typeof reply === 'function' ? await reply(request, { call: requests.length, signal }) : reply;
+      if (typeof result === 'string') return { choices: [{ message: { role: 'assistant', content: result } }] };
+      return result?.role ? { choices: [{ message: result }] } : result;
+    }
+  };
+}
 
 /**
  * Simple test script for the Rental Property Chatbot
@@ -12,6 +58,9 @@ async function runTests() {
   console.log(chalk.blue.bold('🧪 Running Rental Property Chatbot Tests'));
   console.log(chalk.gray('━'.repeat(50)));
 
+  // Keep test questions out of the real usage ledger
+  process.env.USAGE_LEDGER = 'false';
+
   const chatbot = new RentalPropertyChatbot();
   let testsPassed = 0;
   let totalTests = 0;
@@ -80,6 +129,963 @@ async function runTests() {
     }
   }
 
+  // API data source against a local stub server
+  console.log(chalk.yellow(`\nTest ${totalTests + 1}: API data source with cache revalidation`));
+  totalTests++;
+  const cacheDir = mkdtempSync(join(tmpdir(), 'chatbot-api-'));
+  let stubRequests = 0;
+  const stub = http.createServer((req, res) => {
+    stubRequests++;
+    if (req.headers['if-none-match'] === '"v1"') {
+      res.writeHead(304);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json', ETag: '"v1"' });
+    res.end(JSON.stringify([{
+      _id: 'stub-1',
+      title: 'Stub Loft',
+      description: 'A listing served by the stub API',
+      price: '64',
+      city: 'Lisbon',
+      country: 'Portugal',
+      facilities: { bedrooms: 2, bathrooms: 1, parking: 1 }
+    }]));
+  });
+  try {
+    await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+    const source = new ApiDataSource({
+      endpoint: `http://127.0.0.1:${stub.address().port}/listings`,
+      cachePath: join(cacheDir, 'api-properties.json')
+    });
+
+    const fresh = await source.fetchProperties();
+    const revalidated = await source.fetchProperties();
+
+    // The snapshot belongs to /listings, so /other must not send its ETag
+    const otherEndpoint = await new ApiDataSource({
+      endpoint: `http://127.0.0.1:${stub.address().port}/other`,
+      cachePath: join(cacheDir, 'api-properties.json')
+    }).fetchProperties();
+
+    // A 304 without a snapshot to reuse is fetched again unconditionally
+    const uncached = await new ApiDataSource({
+      endpoint: `http://127.0.0.1:${stub.address().port}/listings`,
+      cachePath: join(cacheDir, 'uncached.json'),
+      headers: { 'If-None-Match': '"v1"' }
+    }).fetchProperties();
+    await new Promise(resolve => stub.close(resolve));
+    const offline = await source.fetchProperties();
+
+    if (fresh.properties[0].id === 'stub-1' && fresh.properties[0].price === 64 &&
+        revalidated.metadata.cacheStatus === 'not-modified' &&
+        otherEndpoint.metadata.cacheStatus === 'fresh' && uncached.metadata.cacheStatus === 'fresh' &&
+        offline.metadata.cacheStatus === 'stale' && stubRequests === 5 &&
+        new ApiDataSource().options.cachePath === join(projectRoot, 'cache', 'api-properties.json')) {
+      console.log(chalk.green('✅ API fetch, 304 revalidation, per-endpoint cache and offline fallback work'));
+      testsPassed++;
+    } else {
+      console.log(chalk.red('❌ Unexpected API data source behaviour'));
+    }
+  } catch (error) {
+    console.log(chalk.red('❌ API data source error:'), error.message);
+  } finally {
+    if (stub.listening) stub.close();
+    rmSync(cacheDir, { recursive: true, force: true });
+  }
+
+  // Multi-file catalogs from a directory or glob, skipping duplicate ids
+  console.log(chalk.yellow(`\nTest ${totalTests + 1}: Multi-file catalog merge`));
+  totalTests++;
+  const catalogDir = mkdtempSync(join(tmpdir(), 'chatbot-catalog-'));
+  try {
+    const listing = (id, city) => ({
+      id, title: `${city} Flat`, description: 'Fixture listing', price: 90, city, country: 'Spain',
+      facilities: { bedrooms: 1, bathrooms: 1, parkings: 0 }
+    });
+    writeFileSync(join(catalogDir, 'a.json'), JSON.stringify({ properties: [listing('p-1', 'Madrid'), listing('p-2', 'Seville')] }));
+    writeFileSync(join(catalogDir, 'b.json'), JSON.stringify({ properties: [listing('p-2', 'Valencia'), listing('p-3', 'Bilbao')] }));
+    writeFileSync(join(catalogDir, 'notes.txt'), 'not a catalog');
+
+    const fromDirectory = await new PropertyDataLoader(18, { dataPath: catalogDir }).getProperties();
+    const globLoader = new PropertyDataLoader(18, { dataPath: join(catalogDir, 'b*.json') });
+    const fromGlob = await globLoader.getProperties();
+
+    if (fromDirectory.map(property => property.id).join() === 'p-1,p-2,p-3' &&
+        fromDirectory.find(property => property.id === 'p-2').title === 'Seville Flat' &&
+        fromGlob.length === 2 && globLoader.getStats().files.length === 1) {
+      console.log(chalk.green('✅ Directory and glob catalogs merged, first duplicate id kept'));
+      testsPassed++;
+    } else {
+      console.log(chalk.red('❌ Unexpected merged catalog'));
+    }
+  } catch (error) {
+    console.log(chalk.red('❌ Catalog merge error:'), error.message);
+  } finally {
+    rmSync(catalogDir, { recursive: true, force: true });
+  }
+
+  // CSV (quoted cells, mapped headers) and NDJSON catalogs
+  console.log(chalk.yellow(`\nTest ${totalTests + 1}: CSV and NDJSON catalog readers`));
+  totalTests++;
+  const formatDir = mkdtempSync(join(tmpdir(), 'chatbot-formats-'));
+  try {
+    writeFileSync(join(formatDir, 'listings.csv'), [
+      'id,Name,description,Nightly Rate,city,country,facilities.bedrooms,facilities.bathrooms,facilities.parkings',
+      'c-1,Canal House,"Quiet, bright, and ""central""","$1,200",Amsterdam,Netherlands,3,2,1'
+    ].join('\r\n'));
+    writeFileSync(join(formatDir, 'listings.ndjson'), [
+      JSON.stringify({ id: 'n-1', title: 'Harbour Studio', price: 75, city: 'Porto', country: 'Portugal', facilities: { bedrooms: 1, bathrooms: 1, parkings: 0 } }),
+      '',
+      '// exported nightly'
+    ].join('\n'));
+
+    const properties = await new PropertyDataLoader(18, {
+      dataPath: formatDir,
+      csvColumnMap: { Name: 'title', 'Nightly Rate': 'price' }
+    }).getProperties();
+    const csv = properties.find(property => property.id === 'c-1');
+    const ndjson = properties.find(property => property.id === 'n-1');
+
+    if (properties.length === 2 && csv?.title === 'Canal House' && csv.price === 1200 &&
+        csv.description === 'Quiet, bright, and "central"' && csv.facilities.bedrooms === 3 &&
+        ndjson?.price === 75 && ndjson.location === 'Porto, Portugal') {
+      console.log(chalk.green('✅ CSV and NDJSON listings parsed into the catalog schema'));
+      testsPassed++;
+    } else {
+      console.log(chalk.red('❌ Unexpected CSV/NDJSON records'));
+    }
+  } catch (error) {
+    console.log(chalk.red('❌ Catalog reader error:'), error.message);
+  } finally {
+    rmSync(formatDir, { recursive: true, force: true });
+  }
+
+  // Schema validation quarantines bad records instead of sending them to the AI
+  console.log(chalk.yellow(`\nTest ${totalTests + 1}: Property validation and quarantine`));
+  totalTests++;
+  const quarantineDir = mkdtempSync(join(tmpdir(), 'chatbot-quarantine-'));
+  try {
+    const listing = (id, changes) => ({
+      id, title: 'Fixture Flat', price: 80, city: 'Rome', country: 'Italy',
+      facilities: { bedrooms: '2', bathrooms: 1, parkings: 0 }, ...changes
+    });
+    writeFileSync(join(quarantineDir, 'catalog.json'), JSON.stringify({ properties: [
+      listing('ok-1'),
+      listing('bad-price', { price: 0 }),
+      listing('bad-city', { city: '' }),
+      listing('bad-rooms', { facilities: { bedrooms: 'two', bathrooms: 1, parking: 1 } })
+    ] }));
+
+    const reportPath = join(quarantineDir, 'report.json');
+    const loader = new PropertyDataLoader(18, { dataPath: join(quarantineDir, 'catalog.json'), quarantineReportPath: reportPath });
+    const properties = await loader.getProperties();
+    const report = JSON.parse(readFileSync(reportPath, 'utf8'));
+    const reasons = Object.fromEntries(report.quarantined.map(entry => [entry.id, entry.errors.map(error => error.field)]));
+
+    if (properties.length === 1 && properties[0].facilities.bedrooms === 2 && report.quarantinedRecords === 3 &&
+        reasons['bad-price'].includes('price') && reasons['bad-city'].includes('city') &&
+        reasons['bad-rooms'].includes('facilities.bedrooms') && loader.getStats().quarantined === 3) {
+      console.log(chalk.green('✅ 3 invalid records quarantined with field-level reasons'));
+      testsPassed++;
+    } else {
+      console.log(chalk.red('❌ Unexpected quarantine report'));
+    }
+  } catch (error) {
+    console.log(chalk.red('❌ Property validation error:'), error.message);
+  } finally {
+    rmSync(quarantineDir, { recursive: true, force: true });
+  }
+
+  // Catalog reload mid-session, deferred while a question is in flight
+  console.log(chalk.yellow(`\nTest ${totalTests + 1}: Catalog hot reload`));
+  totalTests++;
+  const reloadDir = mkdtempSync(join(tmpdir(), 'chatbot-reload-'));
+  try {
+    const listing = (id, price) => ({
+      id, title: `Flat ${id}`, price, city: 'Vienna', country: 'Austria',
+      facilities: { bedrooms: 1, bathrooms: 1, parkings: 0 }
+    });
+    const catalogPath = join(reloadDir, 'catalog.json');
+    writeFileSync(catalogPath, JSON.stringify({ properties: [listing('r-1', 100), listing('r-2', 120)] }));
+
+    const reloadChatbot = new RentalPropertyChatbot();
+    Object.assign(reloadChatbot.config, {
+      llmProvider: 'mock',
+      jsonDataPath: catalogPath,
+      quarantineReportPath: join(reloadDir, 'quarantine.json'),
+      hotReload: false
+    });
+    await reloadChatbot.initialize();
+
+    writeFileSync(catalogPath, JSON.stringify({ properties: [listing('r-1', 90), listing('r-3', 150)] }));
+    reloadChatbot.isProcessing = true;
+    await reloadChatbot.handleCatalogChange();
+    const deferred = reloadChatbot.pendingReload && reloadChatbot.llmService.properties.length === 2;
+    reloadChatbot.isProcessing = false;
+    const diff = await reloadChatbot.reloadCatalog();
+
+    writeFileSync(catalogPath, '{ not json');
+    const broken = await reloadChatbot.reloadCatalog();
+
+    // Every record fails validation: lookups and search must still see the last good catalog
+    writeFileSync(catalogPath, JSON.stringify({ properties: [listing('r-4', 0), listing('r-5', -10)] }));
+    const invalid = await reloadChatbot.reloadCatalog();
+    const searchIds = reloadChatbot.dataLoader.search('Vienna flat', 5).map(hit => hit.property.id).sort().join();
+
+    if (deferred && !reloadChatbot.pendingReload &&
+        diff.added.map(property => property.id).join() === 'r-3' && diff.removed.map(property => property.id).join() === 'r-2' &&
+        diff.priceChanged[0]?.oldPrice === 100 && diff.priceChanged[0].newPrice === 90 &&
+        reloadChatbot.llmService.properties.map(property => property.id).join() === 'r-1,r-3' &&
+        broken === null && reloadChatbot.dataLoader.properties.length === 2 &&
+        invalid === null && searchIds === 'r-1,r-3' &&
+        reloadChatbot.dataLoader.getRawProperty('r-3')?.price === 150 && reloadChatbot.dataLoader.getRawProperty('r-4') === null) {
+      console.log(chalk.green('✅ Reload deferred while busy, diffed, and broken or all-invalid catalogs kept the previous set'));
+      testsPassed++;
+    } else {
+      console.log(chalk.red('❌ Unexpected catalog reload'));
+    }
+  } catch (error) {
+    console.log(chalk.red('❌ Catalog reload error:'), error.message);
+  } finally {
+    rmSync(reloadDir, { recursive: true, force: true });
+  }
+
+  // Hard constraints pre-filter the catalog before it reaches the AI
+  console.log(chalk.yellow(`\nTest ${totalTests + 1}: Question pre-filter`));
+  totalTests++;
+  try {
+    const properties = await new PropertyDataLoader().getProperties();
+    const queryFilter = new QueryFilter();
+    const bali = queryFilter.apply('Stay 3 nights in Bali', properties);
+    const budget = queryFilter.apply('2 bedrooms under $100 with parking', properties);
+    const paris = queryFilter.apply('Anything in Paris?', properties);
+    const us = ['Anything in the US?', 'Any US listings?', 'Something in the USA'].map(question => queryFilter.apply(question, properties));
+    const pronoun = queryFilter.parse('Can you help us find something cheap?', properties);
+
+    if (bali.totalMatches === 2 && bali.candidates.every(property => property.city === 'Bali') &&
+        paris.totalMatches === 1 && paris.candidates[0].city === 'Île-de-France' && !paris.constraints.countries &&
+        us.every(({ totalMatches, candidates }) => totalMatches === 2 && candidates.every(property => property.country === 'United States')) &&
+        !pronoun.countries &&
+        budget.totalMatches > 0 && budget.candidates.every(property =>
+          property.price <= 100 && property.facilities.bedrooms >= 2 && property.facilities.parking >= 1)) {
+      console.log(chalk.green('✅ Locations, aliases, price and facility constraints applied'));
+      testsPassed++;
+    } else {
+      console.log(chalk.red('❌ Unexpected pre-filter matches'));
+    }
+  } catch (error) {
+    console.log(chalk.red('❌ Pre-filter error:'), error.message);
+  }
+
+  // BM25 retrieval over titles and full descriptions, passed to the AI as context
+  console.log(chalk.yellow(`\nTest ${totalTests + 1}: Full-text search index`));
+  totalTests++;
+  try {
+    const index = new SearchIndex().build([
+      { id: 'a', title: 'City Loft', description: 'Bright loft above a busy market street.', address: 'Lisbon' },
+      { id: 'b', title: 'Seaside Cabin', description: 'Wake up to the ocean. Steps from the shore.', address: 'Algarve' },
+      { id: 'c', title: 'Garden Studio', description: 'Quiet studio with two gardens.', address: 'Porto' }
+    ]);
+    const beach = index.search('beach house', 3);
+    const gardens = index.search('garden', 3);
+
+    const loader = new PropertyDataLoader();
+    const properties = await loader.getProperties();
+    const hits = loader.search('romantic garden', 3);
+    const service = new LLMService(null, { provider: createFakeProvider('Try the garden apartment.') });
+    service.setProperties(properties);
+    service.setRetriever((query, k) => loader.search(query, k));
+    const response = await service.answerQuestion('romantic garden');
+
+    if (beach[0]?.id === 'b' && gardens.length === 1 && gardens[0].id === 'c' &&
+        index.snippet('Wake up to the ocean. Steps from the shore.', 'shore') === 'Steps from the shore.' &&
+        hits.some(hit => hit.property.title.includes('Private Garden') && hit.snippet.includes('romantic')) &&
+        response.retrieval.map(hit => hit.id).join() === hits.map(hit => hit.property.id).join()) {
+      console.log(chalk.green(`✅ Expanded, stemmed BM25 hits reached the prompt (${response.retrieval.length} retrieved)`));
+      testsPassed++;
+    } else {
+      console.log(chalk.red('❌ Unexpected search results'));
+    }
+  } catch (error) {
+    console.log(chalk.red('❌ Search index error:'), error.message);
+  }
+
+  // Tool calls run locally and their results (or errors) go back to the model
+  console.log(chalk.yellow(`\nTest ${totalTests + 1}: Tool calling`));
+  totalTests++;
+  try {
+    const loader = new PropertyDataLoader();
+    const properties = await loader.getProperties();
+    const toolCall = (id, name, args) => ({ id, type: 'function', function: { name, arguments: args } });
+    const fake = createFakeProvider((request, { call }) => call === 1
+      ? { role: 'assistant', content: null, tool_calls: [
+          toolCall('1', 'search_properties', '{"max_price": 50, "sort_by": "price_asc", "limit": 2}'),
+          toolCall('2', 'get_property', '{"id": "1"}'),
+          toolCall('3', 'search_properties', '{"city": 42}'),
+          toolCall('4', 'compare_properties', '{not json')
+        ] }
+      : 'Here are the cheapest places.', { supportsTools: true });
+    const service = new LLMService(null, { provider: fake });
+    service.setProperties(properties);
+    service.setTools(new PropertyTools(loader));
+
+    const response = await service.answerQuestion('Cheapest places under $50?');
+    const results = Object.fromEntries(fake.requests[1].messages.filter(message => message.role === 'tool')
+      .map(message => [message.tool_call_id, JSON.parse(message.content)]));
+    const prices = results['1'].results.map(result => Number(result.price.replace(/[^\d.]/g, '')));
+
+    if (response.answer.includes('cheapest') && fake.requests.length === 2 && fake.requests[0].tools.length === 3 &&
+        prices.length === 2 && prices[0] <= prices[1] && prices.every(price => price <= 50) &&
+        results['2'].number === 1 && results['2'].description &&
+        results['3'].error && results['4'].error.startsWith('Invalid JSON') &&
+        response.toolCalls.filter(toolCall => toolCall.error).length === 2) {
+      console.log(chalk.green('✅ Search and lookup tools answered; failing calls returned errors to the model'));
+      testsPassed++;
+    } else {
+      console.log(chalk.red('❌ Unexpected tool calling behaviour'));
+    }
+  } catch (error) {
+    console.log(chalk.red('❌ Tool calling error:'), error.message);
+  }
+
+  // Earlier turns are replayed to the model, within the turn window, until reset
+  console.log(chalk.yellow(`\nTest ${totalTests + 1}: Conversation memory`));
+  totalTests++;
+  try {
+    const properties = await new PropertyDataLoader().getProperties();
+    const fake = createFakeProvider((request, { call }) => `Try ${properties[call - 1].title}.`);
+    const service = new LLMService(null, { provider: fake, historyTurns: 2 });
+    service.setProperties(properties);
+
+    // Every message before the current question is replayed history
+    const replayed = request => request.messages.slice(0, -1).filter(message => message.role === 'user' && message.content.startsWith('Question: '))
+      .map(message => message.content.replace('Question: ', ''));
+    for (const question of ['Somewhere in London?', 'Anything cheaper?', 'Does it have parking?', 'And in Bali?']) {
+      await service.answerQuestion(question);
+    }
+    const rememberedIds = service.history[service.history.length - 1].propertyIds;
+    service.resetHistory();
+    await service.answerQuestion('Start over: something in Venice?');
+
+    const { requests } = fake;
+    if (replayed(requests[0]).length === 0 && replayed(requests[1]).join() === 'Somewhere in London?' &&
+        replayed(requests[3]).join() === 'Anything cheaper?,Does it have parking?' &&
+        rememberedIds.includes(properties[3].id) && replayed(requests[4]).length === 0) {
+      console.log(chalk.green('✅ Follow-ups see the last 2 turns; reset starts a fresh conversation'));
+      testsPassed++;
+    } else {
+      console.log(chalk.red('❌ Unexpected conversation history'));
+    }
+  } catch (error) {
+    console.log(chalk.red('❌ Conversation memory error:'), error.message);
+  }
+
+  // Streamed answers reach the token callback as they arrive, with usage from the final chunk or a local estimate
+  console.log(chalk.yellow(`\nTest ${totalTests + 1}: Streaming answers`));
+  totalTests++;
+  try {
+    const properties = await new PropertyDataLoader().getProperties();
+    const fake = createFakeProvider((request, { call }) => (async function* () {
+      for (const word of ['Try ', 'the ', `${properties[0].title}.`]) {
+        yield { choices: [{ index: 0, delta: { content: word } }] };
+      }
+      // Only the first stream reports usage; the second is counted locally
+      if (call === 1) yield { choices: [], usage: { prompt_tokens: 120, completion_tokens: 8, total_tokens: 128 } };
+    })());
+    const service = new LLMService(null, { provider: fake, stream: true });
+    service.setProperties(properties);
+
+    const tokens = [];
+    const reported = await service.answerQuestion('Somewhere in London?', { onToken: token => tokens.push(token) });
+    const estimated = await service.answerQuestion('Anything cheaper?', { onToken: () => {} });
+
+    if (fake.requests[0].stream === true && tokens.length === 3 && tokens.join('') === reported.answer &&
+        reported.streamed && reported.usage.total_tokens === 128 && !reported.usage.estimated &&
+        estimated.streamed && estimated.usage.estimated && estimated.usage.prompt_tokens > 0) {
+      console.log(chalk.green('✅ Tokens streamed to the callback; usage reported or estimated locally'));
+      testsPassed++;
+    } else {
+      console.log(chalk.red('❌ Unexpected streaming behaviour'));
+    }
+  } catch (error) {
+    console.log(chalk.red('❌ Streaming error:'), error.message);
+  }
+
+  // Providers are chosen by name; local backends need a base URL instead of an API key
+  console.log(chalk.yellow(`\nTest ${totalTests + 1}: LLM provider layer`));
+  totalTests++;
+  try {
+    const properties = await new PropertyDataLoader().getProperties();
+    const local = createProvider('openai-compatible', { baseURL: 'http://localhost:11434/v1', model: 'llama3' });
+    let missingBaseURL = null;
+    let unknownProvider = null;
+    try { createProvider('openai-compatible', { model: 'llama3' }); } catch (error) { missingBaseURL = error; }
+    try { createProvider('carrier-pigeon'); } catch (error) { unknownProvider = error; }
+
+    const service = new LLMService(null, { provider: 'mock' });
+    service.setProperties(properties);
+    const response = await service.answerQuestion('Somewhere in London?');
+
+    if (providerRequiresApiKey('openai') && !providerRequiresApiKey('openai-compatible') && !providerRequiresApiKey('mock') &&
+        !local.requiresApiKey && !local.billable && !local.supportsTools && local.label.includes('localhost:11434') &&
+        missingBaseURL?.message.includes('LLM_BASE_URL') && unknownProvider?.message.includes('mock') &&
+        response.answer.includes('Here are some properties') &&
+        response.provider === 'mock' && response.billable === false && response.usage.total_tokens > 0) {
+      console.log(chalk.green('✅ Providers selected by name; mock answers offline at no cost'));
+      testsPassed++;
+    } else {
+      console.log(chalk.red('❌ Unexpected provider behaviour'));
+    }
+  } catch (error) {
+    console.log(chalk.red('❌ Provider layer error:'), error.message);
+  }
+
+  // Offline answers straight from the catalog (no API key needed)
+  console.log(chalk.yellow(`\nTest ${totalTests + 1}: Offline answer engine`));
+  totalTests++;
+  try {
+    const properties = await new PropertyDataLoader().getProperties();
+    const engine = new OfflineAnswerEngine();
+    const cheapest = Math.min(...properties.map(property => property.price));
+
+    const cheap = engine.answer('What is the cheapest property?', properties);
+    const budget = engine.answer('Anything under $50 with parking?', properties);
+    const none = engine.answer('Something under $1', properties);
+
+    const budgetOk = budget.propertyIds.every(id => {
+      const property = properties.find(candidate => candidate.id === id);
+      return property.price <= 50 && property.facilities.parking >= 1;
+    });
+
+    if (cheap.answer.includes(`$${cheapest}/night`) && budget.propertyIds.length > 0 && budgetOk &&
+        none.propertyIds.length === 0 && none.totalMatches === 0) {
+      console.log(chalk.green('✅ Cheapest, budget and no-match intents answered offline'));
+      testsPassed++;
+    } else {
+      console.log(chalk.red('❌ Unexpected offline answers'));
+    }
+  } catch (error) {
+    console.log(chalk.red('❌ Offline engine error:'), error.message);
+  }
+
+  // Grounding check against the catalog
+  console.log(chalk.yellow(`\nTest ${totalTests + 1}: Grounding verifier`));
+  totalTests++;
+  try {
+    const properties = await new PropertyDataLoader().getProperties();
+    const verifier = new GroundingVerifier();
+    const [first] = properties;
+
+    const honest = verifier.verify(new OfflineAnswerEngine().answer('cheapest with parking', properties).answer, properties);
+    const invented = verifier.verify(
+      `• ${first.title} - ${first.location} - $${first.price + 10}/night\n• Sunny Beach Villa - Miami - $75/night`,
+      properties
+    );
+
+    if (honest.grounded && honest.verified.length > 0 && !invented.grounded &&
+        invented.mismatched.some(issue => issue.type === 'price' && issue.expected === first.price) &&
+        invented.unknown.some(issue => issue.value === 'Sunny Beach Villa')) {
+      console.log(chalk.green('✅ Wrong prices and invented listings are flagged'));
+      testsPassed++;
+    } else {
+      console.log(chalk.red('❌ Unexpected grounding report'));
+    }
+  } catch (error) {
+    console.log(chalk.red('❌ Grounding verifier error:'), error.message);
+  }
+
+  // Structured JSON answers with hydrated property records
+  console.log(chalk.yellow(`\nTest ${totalTests + 1}: Structured JSON answer mode`));
+  totalTests++;
+  try {
+    const loader = new PropertyDataLoader();
+    const properties = await loader.getProperties();
+    const service = new LLMService(null, { provider: 'mock', responseFormat: 'json' });
+    service.setProperties(properties);
+    service.setPropertyResolver(id => loader.getRawProperty(id));
+
+    const response = await service.answerQuestion('Something in London under $200');
+    const { structured } = response;
+
+    if (structured?.valid && structured.summary && structured.recommendations.length > 0 &&
+        structured.recommendations.every(({ id, property }) => property?.id === id && property.description !== undefined)) {
+      console.log(chalk.green(`✅ Valid JSON answer citing ${structured.recommendations.length} hydrated properties`));
+      testsPassed++;
+    } else {
+      console.log(chalk.red('❌ Unexpected structured answer'));
+    }
+  } catch (error) {
+    console.log(chalk.red('❌ Structured answer error:'), error.message);
+  }
+
+  // Repeated questions answered from cache at zero cost
+  console.log(chalk.yellow(`\nTest ${totalTests + 1}: Answer cache`));
+  totalTests++;
+  try {
+    const properties = await new PropertyDataLoader().getProperties();
+    const service = new LLMService(null, { provider: 'mock' });
+    const tracker = new CostTracker();
+    service.setProperties(properties);
+
+    const first = await service.answerQuestion("What's the cheapest property available?");
+    const repeat = await service.answerQuestion('what is the cheapest property available');
+    tracker.trackQuery('first', first, 1);
+    const repeatCost = tracker.trackQuery('repeat', repeat, 1);
+
+    service.setProperties(properties.slice(1));
+    const afterReload = await service.answerQuestion('what is the cheapest property available');
+    const persisted = new LLMService(null, { provider: 'mock', answerCachePath: './cache/answers.json' });
+
+    if (persisted.answerCache.options.cachePath === join(projectRoot, 'cache', 'answers.json') && !first.cached && repeat.cached && repeat.answer === first.answer && repeatCost.totalCost === 0 &&
+        tracker.getSessionStats().cacheHits === 1 && !afterReload.cached) {
+      console.log(chalk.green('✅ Repeat served from cache and invalidated on catalog change'));
+      testsPassed++;
+    } else {
+      console.log(chalk.red('❌ Unexpected answer cache behaviour'));
+    }
+  } catch (error) {
+    console.log(chalk.red('❌ Answer cache error:'), error.message);
+  }
+
+  // Timeouts, retries and the circuit breaker against a scripted failing provider
+  console.log(chalk.yellow(`\nTest ${totalTests + 1}: Retries and circuit breaker`));
+  totalTests++;
+  try {
+    const properties = await new PropertyDataLoader().getProperties();
+    const failures = [];
+    const fake = createFakeProvider((request, { signal }) => {
+      const failure = failures.shift();
+      if (failure === 'hang') {
+        return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))));
+      }
+      if (failure) throw Object.assign(new Error(`HTTP ${failure}`), { status: failure });
+      return 'All good';
+    });
+    const service = new LLMService(null, {
+      provider: fake,
+      answerCache: false,
+      responseTimeout: 50,
+      retryBaseDelay: 1,
+      circuitThreshold: 1
+    });
+    service.setProperties(properties);
+
+    failures.push('hang', 429);
+    const recovered = await service.answerQuestion('Show me the cheapest property');
+    failures.push(500, 500, 500);
+    const failed = await service.answerQuestion('Show me the cheapest property');
+    const degraded = await service.answerQuestion('Show me the cheapest property');
+
+    if (recovered.attempts === 3 && recovered.errorClass === null &&
+        failed.attempts === 3 && failed.errorClass === 'server_error' && failed.fallback &&
+        degraded.errorClass === 'circuit_open' && degraded.degraded && degraded.attempts === 0) {
+      console.log(chalk.green('✅ Timeout and 429 retried, repeated 5xx opened the circuit'));
+      testsPassed++;
+    } else {
+      console.log(chalk.red('❌ Unexpected retry or circuit breaker behaviour'));
+    }
+  } catch (error) {
+    console.log(chalk.red('❌ Retry test error:'), error.message);
+  }
+
+  // A stream that times out after emitting tokens is reported once, never replayed
+  console.log(chalk.yellow(`\nTest ${totalTests + 1}: Partial stream timeout`));
+  totalTests++;
+  try {
+    const properties = await new PropertyDataLoader().getProperties();
+    const fake = createFakeProvider((request, { signal }) => (async function* () {
+      yield { choices: [{ index: 0, delta: { content: 'Try the ' } }] };
+      await new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))));
+    })());
+    const service = new LLMService(null, {
+      provider: fake,
+      stream: true,
+      responseTimeout: 50,
+      retryBaseDelay: 1
+    });
+    service.setProperties(properties);
+
+    const tokens = [];
+    const response = await service.answerQuestion('Show me the cheapest property', { onToken: token => tokens.push(token) });
+
+    if (fake.requests.length === 1 && tokens.join('') === 'Try the ' && response.errorClass === 'timeout' && response.attempts === 1 &&
+        response.partial && response.fallback) {
+      console.log(chalk.green('✅ Timed-out partial stream was not retried'));
+      testsPassed++;
+    } else {
+      console.log(chalk.red(`❌ Partial stream requested ${fake.requests.length} times`));
+    }
+  } catch (error) {
+    console.log(chalk.red('❌ Partial stream error:'), error.message);
+  }
+
+  // Prompt templates: rendering, persona override and the version stamp on responses
+  console.log(chalk.yellow(`\nTest ${totalTests + 1}: Prompt templates`));
+  totalTests++;
+  try {
+    const properties = await new PropertyDataLoader().getProperties();
+    const service = new LLMService(null, {
+      provider: 'mock',
+      answerCache: false,
+      promptTemplate: 'concise',
+      promptPersona: 'a luxury travel concierge'
+    });
+    service.setProperties(properties);
+
+    const prompt = service.generateSystemPrompt();
+    const response = await service.answerQuestion('Show me the cheapest property');
+    let unknownRejected = false;
+    try {
+      new LLMService(null, { provider: 'mock', promptTemplate: 'no-such-template' });
+    } catch (error) {
+      unknownRejected = error.message.includes('available: concise, default');
+    }
+
+    if (prompt.startsWith('You are a luxury travel concierge.') && !prompt.includes('{{') &&
+        response.prompt?.name === 'concise' && response.prompt.version && response.prompt.fingerprint &&
+        unknownRejected) {
+      console.log(chalk.green(`✅ Rendered ${response.prompt.name}@${response.prompt.version} and stamped it on the response`));
+      testsPassed++;
+    } else {
+      console.log(chalk.red('❌ Unexpected prompt template behaviour'));
+    }
+  } catch (error) {
+    console.log(chalk.red('❌ Prompt template error:'), error.message);
+  }
+
+  // Multilingual answers: detected language is passed to the model, CLI strings fall back to English
+  console.log(chalk.yellow(`\nTest ${totalTests + 1}: Multilingual answers and locale bundles`));
+  totalTests++;
+  try {
+    const properties = await new PropertyDataLoader().getProperties();
+    const fake = createFakeProvider('Ok');
+    const service = new LLMService(null, { provider: fake, answerCache: false });
+    service.setProperties(properties);
+
+    const languageNote = request => request.messages.filter(message => message.role === 'system').map(message => message.content).join('\n');
+    const portuguese = await service.answerQuestion('Qual é o imóvel mais barato perto da praia?');
+    const followUp = await service.answerQuestion('Bali?');
+    service.resetHistory();
+    const english = await service.answerQuestion('Show me the cheapest property');
+    const thai = await service.answerQuestion('มีที่พักราคาถูกในภูเก็ตไหม');
+    const { requests } = fake;
+
+    const pt = new Localization({ locale: 'pt-BR' });
+    const fallback = new Localization({ locale: 'xx' });
+
+    if (portuguese.language === 'pt' && languageNote(requests[0]).includes('in Portuguese') &&
+        followUp.language === 'pt' && english.language === 'en' && !languageNote(requests[2]).includes('The guest is writing in') &&
+        thai.language === 'th' && languageNote(requests[3]).includes('in Thai') &&
+        pt.locale === 'pt' && pt.t('session.exit.stats', { count: 2 }).includes('2 perguntas') &&
+        pt.commandWords('exit').includes('sair') && pt.commandWords('exit').includes('exit') &&
+        fallback.locale === 'en' && fallback.t('session.reset').startsWith('Conversation memory cleared')) {
+      console.log(chalk.green('✅ Portuguese, Thai and English questions answered in their language; locale bundles fall back to English'));
+      testsPassed++;
+    } else {
+      console.log(chalk.red('❌ Unexpected language handling'));
+    }
+  } catch (error) {
+    console.log(chalk.red('❌ Multilingual test error:'), error.message);
+  }
+
+  // Context budget: small windows summarize and trim the catalog instead of overflowing
+  console.log(chalk.yellow(`\nTest ${totalTests + 1}: Token counting and context budget`));
+  totalTests++;
+  try {
+    const properties = await new PropertyDataLoader().getProperties();
+    const answerWithin = async contextWindow => {
+      const service = new LLMService(null, { provider: 'mock', answerCache: false, contextWindow, maxTokens: 400 });
+      service.setProperties(properties);
+      return service.answerQuestion('What properties do you have available?');
+    };
+
+    const roomy = await answerWithin(16385);
+    const tight = await answerWithin(1200);
+    const tooSmall = await answerWithin(700);
+    const counter = new TokenCounter();
+
+    if (!roomy.context.trimmed && roomy.context.promptTokens > 1000 &&
+        tight.context.compact && tight.context.droppedProperties > 0 && tight.context.promptTokens <= 800 && !tight.fallback &&
+        tooSmall.errorClass === 'context_overflow' && tooSmall.fallback &&
+        // Token ids from OpenAI's tiktoken examples: [83, 1609, 5963, 374, 2294, 0] in cl100k_base
+        counter.count('Hello world, how are you?') === 7 && counter.count('tiktoken is great!', 'gpt-4') === 6 &&
+        TokenCounter.encodingFor('gpt-4o-mini-2024-07-18') === 'o200k_base' && TokenCounter.encodingFor('llama3.1') === 'cl100k_base' &&
+        TokenCounter.contextWindow('gpt-4o-mini-2024-07-18') === 128000 && TokenCounter.contextWindow('gpt-4-0613') === 8192) {
+      console.log(chalk.green(`✅ ${roomy.context.promptTokens}-token prompt trimmed to ${tight.context.promptTokens} tokens for a 1200-token window`));
+      testsPassed++;
+    } else {
+      console.log(chalk.red('❌ Unexpected context budget behaviour'));
+    }
+  } catch (error) {
+    console.log(chalk.red('❌ Context budget error:'), error.message);
+  }
+
+  // Model routing: each question class goes to its configured model, trivial ones to the rule engine
+  console.log(chalk.yellow(`\nTest ${totalTests + 1}: Model routing`));
+  totalTests++;
+  try {
+    const properties = await new PropertyDataLoader().getProperties();
+    const fake = createFakeProvider(() => ({
+      choices: [{ message: { role: 'assistant', content: 'Here you go' } }],
+      usage: { prompt_tokens: 100, completion_tokens: 20, total_tokens: 120 }
+    }), { billable: true });
+    const service = new LLMService(null, {
+      provider: fake,
+      answerCache: false,
+      maxCandidates: undefined, // Unset settings fall back to their defaults
+      routes: { lookup: 'offline', filter: 'small-model', recommendation: 'large-model' }
+    });
+    service.setProperties(properties);
+    const tracker = new CostTracker();
+    const ask = async question => {
+      const response = await service.answerQuestion(question);
+      tracker.trackQuery(question, response, 0);
+      return response;
+    };
+
+    const lookup = await ask("What's the cheapest property?");
+    const filter = await ask('Show me properties under $100 in Bali');
+    const recommendation = await ask("I'm looking for a romantic getaway for two");
+    const followUp = await ask('Which is the cheapest of those?');
+    const routes = tracker.getSessionStats().routes;
+
+    const models = fake.requests.map(request => request.model);
+
+    // With every route offline, a French question still needs a model: the default one
+    const offlineOnly = new LLMService(null, {
+      provider: fake,
+      answerCache: false,
+      model: 'default-model',
+      routes: { lookup: 'offline', filter: 'offline', recommendation: 'offline' }
+    });
+    offlineOnly.setProperties(properties);
+    const english = offlineOnly.routeQuestion('Anything romantic in Bali?');
+    const french = offlineOnly.routeQuestion('Je cherche une maison romantique à Bali', { language: 'fr' });
+
+    if (service.router.queryFilter === service.queryFilter && service.options.maxCandidates === 20 &&
+        lookup.offline && lookup.route.name === 'lookup' &&
+        filter.route.name === 'filter' && filter.model === 'small-model' &&
+        recommendation.route.name === 'recommendation' && recommendation.model === 'large-model' &&
+        followUp.model === 'small-model' && models.join() === 'small-model,large-model,small-model' &&
+        routes['lookup → offline'].queries === 1 && routes['filter → small-model'].queries === 2 &&
+        english.target === 'offline' && french.target === 'default-model') {
+      console.log(chalk.green(`✅ Routed ${Object.keys(routes).join(', ')}`));
+      testsPassed++;
+    } else {
+      console.log(chalk.red('❌ Unexpected routing'));
+    }
+  } catch (error) {
+    console.log(chalk.red('❌ Model routing error:'), error.message);
+  }
+
+  // Test 27: Per-model pricing
+  console.log(chalk.yellow(`\nTest ${totalTests + 1}: Per-model pricing`));
+  totalTests++;
+  const pricingDir = mkdtempSync(join(tmpdir(), 'chatbot-pricing-'));
+  try {
+    const tracker = new CostTracker();
+    const usage = { prompt_tokens: 1000, completion_tokens: 500, total_tokens: 1500 };
+    tracker.trackQuery('Cheap question', { model: 'gpt-3.5-turbo', usage }, 0);
+    tracker.trackQuery('Expensive question', { model: 'gpt-4', usage }, 0);
+    tracker.trackQuery('Dated model name', { model: 'gpt-4o-mini-2024-07-18', usage }, 0);
+    const cached = tracker.calculateQueryCost(1000, 0, 'gpt-4o', 1000);
+    const models = tracker.getSessionStats().models;
+
+    // Models priced in different currencies are totalled separately; cached prompt tokens count as saved
+    const pricingPath = join(pricingDir, 'pricing.json');
+    writeFileSync(pricingPath, JSON.stringify({
+      currency: 'USD',
+      unit: 1000000,
+      defaultModel: 'gpt-4o',
+      models: {
+        'gpt-4o': { input: 2.5, output: 10, cachedInput: 1.25 },
+        'eu-model': { input: 1, output: 2, cachedInput: null, currency: 'EUR' }
+      }
+    }));
+    const mixed = new CostTracker({ pricingPath });
+    mixed.trackQuery('Cached prompt', { model: 'gpt-4o', usage: { prompt_tokens: 1000, completion_tokens: 0, prompt_tokens_details: { cached_tokens: 1000 } } }, 0);
+    mixed.trackQuery('Priced in euros', { model: 'eu-model', usage: { prompt_tokens: 1000, completion_tokens: 1000 }, route: { name: 'filter', target: 'eu-model' } }, 0);
+    const mixedStats = mixed.getSessionStats();
+    const close = (amount, expected) => Math.abs(amount - expected) < 1e-9;
+
+    if (models['gpt-4'].cost >= models['gpt-3.5-turbo'].cost * 20 &&
+        close(mixedStats.costs.USD, 0.00125) && close(mixedStats.costs.EUR, 0.003) &&
+        close(mixedStats.savedCosts.USD, 0.00125) && mixedStats.cachedTokens === 1000 &&
+        mixedStats.formattedTotalCost === '$0.001250 + 0.003000 EUR' &&
+        close(mixedStats.routes['filter → eu-model'].costs.EUR, 0.003) &&
+        tracker.pricingTable.rateFor('gpt-4o-mini-2024-07-18').model === 'gpt-4o-mini' &&
+        cached.totalCost === tracker.calculateQueryCost(1000, 0, 'gpt-4o').totalCost / 2 &&
+        Object.keys(models).length === 3) {
+      console.log(chalk.green(`✅ ${Object.entries(models).map(([model, entry]) => `${model} ${tracker.formatAmount(entry.cost)}`).join(', ')}`));
+      testsPassed++;
+    } else {
+      console.log(chalk.red('❌ Unexpected per-model costs'));
+    }
+  } catch (error) {
+    console.log(chalk.red('❌ Pricing error:'), error.message);
+  } finally {
+    rmSync(pricingDir, { recursive: true, force: true });
+  }
+
+  // Spending budgets
+  console.log(chalk.yellow(`\nTest ${totalTests + 1}: Spending budgets`));
+  totalTests++;
+  const budgetDir = mkdtempSync(join(tmpdir(), 'chatbot-budget-'));
+  try {
+    const properties = await new PropertyDataLoader().getProperties();
+    const budget = { session: 0.1, daily: 1, action: 'refuse', statePath: join(budgetDir, 'spending.json') };
+    const tracker = new CostTracker({ budget });
+    const estimate = { model: 'gpt-4', billable: true, inputTokens: 1000, outputTokens: 500 }; // $0.06
+
+    const before = tracker.checkBudget(estimate);
+    tracker.trackQuery('Expensive question', { model: 'gpt-4', usage: { prompt_tokens: 1000, completion_tokens: 500, total_tokens: 1500 } }, 0);
+    const after = tracker.checkBudget(estimate);
+    const restarted = new CostTracker({ budget }).budget.totals();
+    const relativeState = new CostTracker({ budget: { statePath: './cache/spending.json' } }).budget.options.statePath;
+
+    const service = new LLMService(null, { provider: 'mock', answerCache: false, maxTokens: 400 });
+    service.setProperties(properties);
+    const preflight = service.estimateQuestion('Show me villas in Bali');
+    const downgraded = await service.answerQuestion('Show me villas in Bali', { model: 'cheap-model' });
+    const offline = await service.answerQuestion('Show me villas in Bali', { offline: true });
+
+    // Estimating is a preview: it must not switch the conversation's language or count cache lookups
+    const cachedService = new LLMService(null, { provider: 'mock' });
+    cachedService.setProperties(properties);
+    await cachedService.answerQuestion('Show me villas in Bali');
+    const statsBefore = cachedService.answerCache.getStats();
+    const repeatEstimate = cachedService.estimateQuestion('Show me villas in Bali');
+    cachedService.estimateQuestion('Je cherche une maison à Paris avec une piscine');
+    const statsAfter = cachedService.answerCache.getStats();
+
+    if (before.status === 'ok' && after.status === 'over' && after.period === 'session' && after.action === 'refuse' &&
+        restarted.session === 0 && Math.abs(restarted.day - 0.06) < 1e-9 &&
+        relativeState === join(projectRoot, 'cache', 'spending.json') &&
+        preflight.inputTokens > 0 && preflight.outputTokens === 400 && tracker.checkBudget(preflight).estimatedCost === 0 &&
+        downgraded.model === 'cheap-model' && offline.offline &&
+        repeatEstimate.cached && cachedService.conversationLanguage === 'en' &&
+        statsAfter.hits === statsBefore.hits && statsAfter.misses === statsBefore.misses) {
+      console.log(chalk.green(`✅ Session budget refused the next $0.06 query; daily total kept across restarts (${restarted.day.toFixed(2)})`));
+      testsPassed++;
+    } else {
+      console.log(chalk.red('❌ Unexpected budget decisions'));
+    }
+  } catch (error) {
+    console.log(chalk.red('❌ Spending budget error:'), error.message);
+  } finally {
+    rmSync(budgetDir, { recursive: true, force: true });
+  }
+
+  // Test 29: Usage ledger
+  console.log(chalk.yellow(`\nTest ${totalTests + 1}: Usage ledger`));
+  totalTests++;
+  const ledgerDir = mkdtempSync(join(tmpdir(), 'chatbot-ledger-'));
+  try {
+    const ledgerPath = join(ledgerDir, 'usage.ndjson');
+    const usage = { prompt_tokens: 1000, completion_tokens: 500, total_tokens: 1500 };
+    const first = new CostTracker({ ledgerPath });
+    first.trackQuery('First session question', { model: 'gpt-4', usage }, 800);
+    first.trackQuery('Second question', { model: 'gpt-3.5-turbo', usage }, 400);
+    new CostTracker({ ledgerPath }).trackQuery('Next session question', { model: 'gpt-4', usage }, 600);
+
+    const ledger = new UsageLedger({ path: ledgerPath });
+    const defaultLedger = new UsageLedger().path;
+    const entries = ledger.read();
+    const byModel = UsageLedger.aggregate(entries, 'model');
+    const csv = UsageLedger.toCSV(byModel).trim().split('\n');
+    const isoWeek = UsageLedger.groupKey({ timestamp: '2027-01-01T12:00:00Z' }, 'week');
+
+    if (entries.length === 3 && new Set(entries.map(entry => entry.session)).size === 2 &&
+        byModel.find(row => row.key === 'gpt-4').queries === 2 && byModel.find(row => row.key === 'gpt-4').averageLatencyMs === 700 &&
+        isoWeek === '2026-W53' && defaultLedger === join(projectRoot, 'cache', 'usage-ledger.ndjson') &&
+        csv.length === 3 && csv[0].startsWith('group,key,queries')) {
+      console.log(chalk.green(`✅ ${entries.length} queries from 2 sessions; ${byModel.map(row => `${row.key} ${row.queries}`).join(', ')}`));
+      testsPassed++;
+    } else {
+      console.log(chalk.red('❌ Unexpected ledger contents'));
+    }
+  } catch (error) {
+    console.log(chalk.red('❌ Usage ledger error:'), error.message);
+  } finally {
+    rmSync(ledgerDir, { recursive: true, force: true });
+  }
+
+  // Test 30: OpenMetrics endpoint
+  console.log(chalk.yellow(`\nTest ${totalTests + 1}: OpenMetrics endpoint`));
+  totalTests++;
+  // A full session on the mock provider, so this runs without an API key
+  const mockChatbot = new RentalPropertyChatbot();
+  mockChatbot.config.llmProvider = 'mock';
+  const metricsServer = new MetricsServer(mockChatbot.metrics, { port: 0 });
+  try {
+    await mockChatbot.initialize();
+    await mockChatbot.askQuestion('What is the cheapest property?');
+    const address = await metricsServer.start();
+    const scrape = await fetch(address.url);
+    const text = await scrape.text();
+    const missing = await fetch(address.url.replace('/metrics', '/other'));
+
+    const registry = new MetricsRegistry().define('latency', { type: 'histogram', buckets: [1, 5] });
+    [0.5, 2, 9].forEach(value => registry.observe('latency', { model: 'say "hi"' }, value));
+    const histogram = registry.render();
+
+    if (scrape.headers.get('content-type').startsWith('application/openmetrics-text') && missing.status === 404 &&
+        /^chatbot_questions_total\{outcome="\w+"\} \d+$/m.test(text) &&
+        /^chatbot_response_time_seconds_bucket\{outcome="\w+",le="\+Inf"\} \d+$/m.test(text) &&
+        /^chatbot_cache_hits_total \d+$/m.test(text) && text.endsWith('# EOF\n') &&
+        histogram.includes('chatbot_latency_bucket{model="say \\"hi\\"",le="5"} 2') &&
+        histogram.includes('chatbot_latency_count{model="say \\"hi\\""} 3')) {
+      console.log(chalk.green(`✅ Scraped ${text.split('\n').filter(line => line && !line.startsWith('#')).length} samples from ${address.url}`));
+      testsPassed++;
+    } else {
+      console.log(chalk.red('❌ Unexpected metrics output'));
+    }
+  } catch (error) {
+    console.log(chalk.red('❌ Metrics endpoint error:'), error.message);
+  } finally {
+    await metricsServer.stop();
+  }
+
+  // Test 31: Slash commands
+  console.log(chalk.yellow(`\nTest ${totalTests + 1}: Slash commands`));
+  totalTests++;
+  try {
+    const questionsBefore = mockChatbot.questionCount;
+    const queriesBefore = mockChatbot.costTracker.sessions.length;
+
+    const filtered = await mockChatbot.commands.run('/filter price<80 country=France');
+    const sorted = await mockChatbot.commands.run('/sort price');
+    const shown = await mockChatbot.commands.run(`/show ${sorted.result[0].index}`);
+    const typo = await mockChatbot.commands.run('/flter price<80');
+    const badNumber = await mockChatbot.commands.run('/filter price<abc');
+    const badChoice = await mockChatbot.commands.run('/sort colour');
+    const missing = await mockChatbot.commands.run('/show');
+    const { model: modelBefore, routing: routingBefore } = mockChatbot.llmService.options;
+    const unknownModel = await mockChatbot.commands.run('/model gpt-nonexistent');
+    const modelAfterTypo = mockChatbot.llmService.options.model;
+    const datedModel = await mockChatbot.commands.run('/model gpt-4o-mini-2024-07-18');
+    Object.assign(mockChatbot.llmService.options, { model: modelBefore, routing: routingBefore });
+    mockChatbot.config.openaiModel = modelBefore;
+
+    const prices = sorted.result.map(property => property.price);
+    if (filtered.ok && filtered.result.every(property => property.price < 80 && property.country === 'France') &&
+        sorted.ok && sorted.result.length === filtered.result.length && prices.every((price, index) => index === 0 || prices[index - 1] <= price) &&
+        shown.ok && shown.result.id === sorted.result[0].id &&
+        !typo.ok && typo.error.message.includes('/filter') &&
+        !badNumber.ok && !badChoice.ok && !missing.ok && missing.error.command.name === 'show' &&
+        !unknownModel.ok && unknownModel.error.message.includes('gpt-4o-mini') && modelAfterTypo === modelBefore &&
+        datedModel.ok && datedModel.result.model === 'gpt-4o-mini-2024-07-18' &&
+        mockChatbot.questionCount === questionsBefore && mockChatbot.costTracker.sessions.length === queriesBefore) {
+      console.log(chalk.green(`✅ ${filtered.result.length} French properties under 80 sorted by price, bad input rejected, no AI calls`));
+      testsPassed++;
+    } else {
+      console.log(chalk.red('❌ Unexpected slash command results'));
+    }
+  } catch (error) {
+    console.log(chalk.red('❌ Slash command error:'), error.message);
+  }
+
   // Test Results
   console.log(chalk.gray('\n' + '━'.repeat(50)));
   console.log(chalk.blue.bold('📊 Test Results'));
@@ -0,0 +1,128 @@
+import { Tiktoken } from 'js-tiktoken/lite';
+import cl100kBase from 'js-tiktoken/ranks/cl100k_base';
+import o200kBase from 'js-tiktoken/ranks/o200k_base';
+
+/**
+ * Local token counter for budgeting requests before they are sent
+ * Text is encoded with the model's BPE tokenizer (o200k_base for GPT-4o and later,
+ * cl100k_base otherwise), so counts match OpenAI's for its models; Llama, Mistral and
+ * other local models have their own vocabularies, so for them the count is an estimate
+ */
+class TokenCounter {
+  // BPE encoding per model family, matched like the context windows; anything else uses cl100k_base
+  static ENCODINGS = {
+    'gpt-4o': 'o200k_base',
+    'gpt-4.1': 'o200k_base',
+    'o1': 'o200k_base',
+    'o3': 'o200k_base',
+    'o4-mini': 'o200k_base'
+  };
+
+  static DEFAULT_ENCODING = 'cl100k_base';
+
+  static RANKS = { cl100k_base: cl100kBase, o200k_base: o200kBase };
+
+  // Encoders are built on first use and shared: building one parses a large rank table
+  static encoders = new Map();
+
+  // Context window (tokens) per model family, matched on the longest prefix
+  static CONTEXT_WINDOWS = {
+    'gpt-3.5-turbo': 16385,
+    'gpt-3.5-turbo-instruct': 4096,
+    'gpt-4': 8192,
+    'gpt-4-32k': 32768,
+    'gpt-4-turbo': 128000,
+    'gpt-4-1106': 128000,
+    'gpt-4-0125': 128000,
+    'gpt-4o': 128000,
+    'gpt-4o-mini': 128000,
+    'gpt-4.1': 1047576,
+    'gpt-4.1-mini': 1047576,
+    'gpt-4.1-nano': 1047576,
+    'o1': 200000,
+    'o3': 200000,
+    'o4-mini': 200000,
+    'llama3': 8192,
+    'llama3.1': 131072,
+    'mistral': 32768,
+    'mock': 16385
+  };
+
+  static DEFAULT_CONTEXT_WINDOW = 8192;
+
+  // OpenAI chat format overhead: tokens per message and for priming the reply
+  static MESSAGE_OVERHEAD = 3;
+  static REPLY_OVERHEAD = 3;
+
+  constructor(options = {}) {
+    this.model = options.model || null; // Default model when a count doesn't name one
+  }
+
+  /**
+   * Tokens in a string, as the model's tokenizer splits it
+   * Special tokens such as <|endoftext|> are counted as plain text, like user input
+   */
+  count(text, model = this.model) {
+    if (!text) return 0;
+    return TokenCounter.encoder(model).encode(String(text), [], []).length;
+  }
+
+  /**
+   * Tokens in a list of chat messages, including tool calls and the reply priming
+   */
+  countMessages(messages, model = this.model) {
+    return messages.reduce((total, message) => total +
+      TokenCounter.MESSAGE_OVERHEAD +
+      this.count(message.content || '', model) +
+      (message.tool_calls ? this.count(JSON.stringify(message.tool_calls), model) : 0) +
+      (message.name ? 1 : 0),
+    TokenCounter.REPLY_OVERHEAD);
+  }
+
+  /**
+   * Tokens taken by tool definitions sent with a request
+   * OpenAI rewrites the definitions before tokenizing them, so this is an estimate
+   */
+  countTools(tools, model = this.model) {
+    return tools && tools.length > 0 ? this.count(JSON.stringify(tools), model) : 0;
+  }
+
+  /**
+   * Longest key of a per-model table that matches the model name ("openai/gpt-4o-mini" → "gpt-4o-mini")
+   */
+  static matchModel(model, table) {
+    const name = (model || '').toLowerCase().replace(/^.*\//, '');
+    return Object.keys(table)
+      .filter(prefix => name === prefix || name.startsWith(`${prefix}-`) || name.startsWith(`${prefix}:`))
+      .sort((a, b) => b.length - a.length)[0];
+  }
+
+  /**
+   * BPE encoding name for a model
+   */
+  static encodingFor(model) {
+    const match = TokenCounter.matchModel(model, TokenCounter.ENCODINGS);
+    return match ? TokenCounter.ENCODINGS[match] : TokenCounter.DEFAULT_ENCODING;
+  }
+
+  /**
+   * Shared encoder for a model's encoding
+   */
+  static encoder(model) {
+    const encoding = TokenCounter.encodingFor(model);
+    if (!TokenCounter.encoders.has(encoding)) {
+      TokenCounter.encoders.set(encoding, new Tiktoken(TokenCounter.RANKS[encoding]));
+    }
+    return TokenCounter.encoders.get(encoding);
+  }
+
+  /**
+   * Context window for a model: the longest matching prefix in the table, or the default
+   */
+  static contextWindow(model, fallback = TokenCounter.DEFAULT_CONTEXT_WINDOW) {
+    const match = TokenCounter.matchModel(model, TokenCounter.CONTEXT_WINDOWS);
+    return match ? TokenCounter.CONTEXT_WINDOWS[match] : fallback;
+  }
+}
+
+export default TokenCounter;
@@ -0,0 +1,121 @@
+import { appendFileSync, existsSync, mkdirSync, readFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Append-only usage ledger: one JSON line per tracked query
+ * Survives restarts, so `npm run usage` can report on every session; days and weeks are UTC
+ */
+class UsageLedger {
+  static GROUPS = ['day', 'week', 'model'];
+
+  // Columns of the CSV export, in order
+  static COLUMNS = ['group', 'key', 'queries', 'cachedQueries', 'inputTokens', 'outputTokens', 'totalTokens', 'cost', 'currency', 'averageLatencyMs'];
+
+  constructor(options = {}) {
+    // Relative paths resolve from the project root, like the other cache files
+    this.path = resolve(join(__dirname, '..'), options.path || 'cache/usage-ledger.ndjson');
+    this.skipped = 0;
+  }
+
+  /**
+   * Append one entry
+   */
+  append(entry) {
+    try {
+      mkdirSync(dirname(this.path), { recursive: true });
+      appendFileSync(this.path, `${JSON.stringify(entry)}\n`);
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️ Could not write usage ledger: ${error.message}`));
+    }
+  }
+
+  /**
+   * Read entries, optionally limited to [from, to] (YYYY-MM-DD, inclusive)
+   * Unreadable lines (e.g. a write cut short) are skipped and counted in `skipped`
+   */
+  read({ from = null, to = null } = {}) {
+    this.skipped = 0;
+    if (!existsSync(this.path)) return [];
+
+    const entries = [];
+    for (const line of readFileSync(this.path, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+
+      try {
+        const entry = JSON.parse(line);
+        const day = entry.timestamp.slice(0, 10);
+        if ((from && day < from) || (to && day > to)) continue;
+        entries.push(entry);
+      } catch (error) {
+        this.skipped++;
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Key of an entry in a grouping: "2026-10-19", ISO week "2026-W43", or the model name
+   */
+  static groupKey(entry, group) {
+    if (group === 'model') return entry.model || 'unknown';
+    if (group === 'day') return entry.timestamp.slice(0, 10);
+
+    // ISO week: the week belongs to the year of its Thursday
+    const date = new Date(`${entry.timestamp.slice(0, 10)}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + 4 - (date.getUTCDay() || 7));
+    const yearStart = Date.UTC(date.getUTCFullYear(), 0, 1);
+    const week = Math.ceil(((date - yearStart) / 86400000 + 1) / 7);
+    return `${date.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+  }
+
+  /**
+   * Aggregate entries by day, week or model, sorted by key
+   * Returns rows of { group, key, queries, cachedQueries, inputTokens, outputTokens, totalTokens, cost, currency, averageLatencyMs }
+   */
+  static aggregate(entries, group) {
+    const rows = new Map();
+
+    for (const entry of entries) {
+      const key = UsageLedger.groupKey(entry, group);
+      const row = rows.get(key) || {
+        group, key, queries: 0, cachedQueries: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0,
+        cost: 0, currency: entry.currency || 'USD', latencyTotal: 0
+      };
+
+      row.queries++;
+      if (entry.cached) row.cachedQueries++;
+      row.inputTokens += entry.inputTokens || 0;
+      row.outputTokens += entry.outputTokens || 0;
+      row.totalTokens += (entry.inputTokens || 0) + (entry.outputTokens || 0);
+      row.cost += entry.cost || 0;
+      row.latencyTotal += entry.latencyMs || 0;
+      rows.set(key, row);
+    }
+
+    return [...rows.values()]
+      .sort((a, b) => a.key.localeCompare(b.key))
+      .map(({ latencyTotal, ...row }) => ({ ...row, averageLatencyMs: Math.round(latencyTotal / row.queries) }));
+  }
+
+  /**
+   * CSV for aggregate rows (RFC 4180 quoting)
+   */
+  static toCSV(rows) {
+    const quote = value => {
+      const text = typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(6) : String(value ?? '');
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+      UsageLedger.COLUMNS.join(','),
+      ...rows.map(row => UsageLedger.COLUMNS.map(column => quote(row[column])).join(','))
+    ].join('\n') + '\n';
+  }
+}
+
+export default UsageLedger;